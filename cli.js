@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import { CHART_FORMATS, CHART_TYPES, findProfileFiles, parseChartFormats, parseChartTypes, selectProfileFiles } from './src/services/profile-files.js';
+import { generateDistributionChart, generateOverlayChart, processProfileFiles } from './src/services/profile-runner.js';
+import { CHART_LAYOUTS, parseOverlayAlignment } from './src/services/chart-generator.js';
+import { compareOutputStats, loadComparisonConfig } from './src/services/comparison-runner.js';
+import { loadMetricConfig } from './src/services/metric-config.js';
+import { THEME_PRESET_NAMES, loadChartTheme, parseRanges } from './src/services/chart-theme.js';
+import { writeComparisonReports } from './src/services/report-generator.js';
+import { parseDuration } from './src/services/duration.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// `valueName` and `description` are only used to print the help, parseArgs ignores them
+const COMMON_OPTIONS = {
+    input: { type: 'string', short: 'i', default: './input', valueName: 'dir', description: 'Directory containing the CSV profiles' },
+    output: { type: 'string', short: 'o', default: './output', valueName: 'dir', description: 'Directory for charts and stats JSON' },
+    help: { type: 'boolean', short: 'h', default: false, description: 'Show this help' },
+};
+
+const WINDOW_OPTIONS = {
+    from: { type: 'string', valueName: 'duration', description: 'Only analyse the match from this time, e.g. 2m (default: capture start)' },
+    to: { type: 'string', valueName: 'duration', description: 'Only analyse the match until this time, e.g. 25m (default: capture end)' },
+    phases: { type: 'boolean', description: 'Also write the stats and charts of the seeding, live and end phases of every match (see "phases" in the metric config)' },
+};
+
+const NO_CACHE_OPTION = { type: 'boolean', description: 'Read the profiles again instead of reusing the processed data cached in <output>/.cache' };
+
+const PROCESSING_OPTIONS = {
+    ...COMMON_OPTIONS,
+    metrics: { type: 'string', short: 'm', valueName: 'file', description: 'Metric series configuration, JSON or JS (default: config/metrics.json)' },
+    bucket: { type: 'string', short: 'b', valueName: 'duration', description: 'Aggregation bucket size, e.g. 1s, 5s, 30s (default: from the metric configuration)' },
+    ...WINDOW_OPTIONS,
+    'no-cache': NO_CACHE_OPTION,
+};
+
+const LAYOUT_OPTION = { type: 'string', short: 'l', default: 'shared', valueName: 'layout', description: 'Chart layout: shared (metrics rescaled onto the TPS axes) or stacked (one panel per metric with its own unit axis)' };
+
+const THEME_OPTIONS = {
+    theme: { type: 'string', valueName: 'preset|file', description: `Chart theme: ${THEME_PRESET_NAMES.join(', ')} or a theme JSON file (default: config/theme.json)` },
+    'font-scale': { type: 'string', valueName: 'factor', description: 'Multiplies every chart font size, e.g. 1.25' },
+    ranges: { type: 'string', valueName: 'list', description: 'Axis maximum per series, e.g. tps=75,memory=8192,playerCount=auto' },
+    watermark: { type: 'string', valueName: 'text', description: 'Text drawn faintly across the charts' },
+    'hide-signature': { type: 'boolean', description: 'Do not sign the charts' },
+};
+
+const CHART_OPTIONS = {
+    ...PROCESSING_OPTIONS,
+    ...THEME_OPTIONS,
+    format: { type: 'string', short: 'f', default: 'png', valueName: 'list', description: `Chart formats, comma separated: ${CHART_FORMATS.join(', ')} (svg and pdf are vectors, html is interactive)` },
+    charts: { type: 'string', short: 't', default: 'timeline', valueName: 'list', description: `Chart types, comma separated: ${CHART_TYPES.join(', ')} (breakdown: stacked area of the top GameThread categories, distribution: frame time histogram and CDF, scaling: frame time by player count)` },
+    layout: LAYOUT_OPTION,
+    'combined-pdf': { type: 'string', valueName: 'file', description: 'Also write every chart into a single PDF, one page per file' },
+};
+
+const COMPARE_OPTIONS = {
+    ...COMMON_OPTIONS,
+    'group-by': { type: 'string', short: 'g', valueName: 'rule', description: 'Grouping rule: map, dir, filename:<regex> or metadata:<field> (default: map)' },
+    baseline: { type: 'string', short: 'B', valueName: 'rule', description: 'Baseline rule: dir:<text>, filename:<regex> or metadata:<field>=<text> (default: dir:UE4)' },
+    comparison: { type: 'string', short: 'c', valueName: 'file', description: 'Grouping and baseline rules as JSON (default: config/comparison.json)' },
+    reports: { type: 'string', short: 'r', valueName: 'dir', description: 'Directory for the Markdown and HTML reports (default: <output>/reports)' },
+    alpha: { type: 'string', valueName: 'p', description: 'Significance level of the distribution test (default: 0.01)' },
+    'min-effect': { type: 'string', valueName: 'delta', description: 'Smallest |Cliff\'s delta| not considered noise (default: 0.147)' },
+    'hide-noise': { type: 'boolean', description: 'Hide the stats without any significant change' },
+    phase: { type: 'string', valueName: 'phase', description: 'Compare only this match phase, as written by "chart --phases": seeding, live or end (default: whole captures)' },
+    overlay: { type: 'boolean', description: 'Also draw every group on one chart, the runs are read again from their source profile' },
+    align: { type: 'string', default: 'start', valueName: 'rule', description: 'Overlay alignment: start or players:<count>, the first time the player count reaches it' },
+    layout: LAYOUT_OPTION,
+    metrics: PROCESSING_OPTIONS.metrics,
+    'no-cache': NO_CACHE_OPTION,
+    ...THEME_OPTIONS,
+};
+
+const COMMANDS = {
+    chart: {
+        summary: 'Generate charts and stats JSON for the selected profiles',
+        usage: 'csv-graph chart [files...] [options]',
+        options: CHART_OPTIONS,
+        run: (files, values) => runProcessing(files, values, { chart: true }),
+    },
+    stats: {
+        summary: 'Generate only the stats JSON for the selected profiles',
+        usage: 'csv-graph stats [files...] [options]',
+        options: PROCESSING_OPTIONS,
+        run: (files, values) => runProcessing(files, values, { chart: false }),
+    },
+    compare: {
+        summary: 'Compare every run of a group against its baseline, using the stats JSON in the output directory',
+        usage: 'csv-graph compare [options]',
+        options: COMPARE_OPTIONS,
+        run: (_files, values) => runCompare(values),
+    },
+    list: {
+        summary: 'List the profiles found in the input directory',
+        usage: 'csv-graph list [files...] [options]',
+        options: COMMON_OPTIONS,
+        run: (files, values) => runList(files, values),
+    },
+};
+
+class UsageError extends Error { }
+
+function formatOptions(options) {
+    const rows = Object.entries(options).map(([ name, option ]) => {
+        const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.valueName ? ` <${option.valueName}>` : ''}`;
+        const defaultValue = option.default !== undefined && option.type === 'string' ? ` (default: ${option.default})` : '';
+        return [ flag, `${option.description}${defaultValue}` ];
+    });
+    const width = Math.max(...rows.map(([ flag ]) => flag.length)) + 2;
+    return rows.map(([ flag, description ]) => `  ${flag.padEnd(width)}${description}`).join('\n');
+}
+
+function printHelp(commandName) {
+    const command = COMMANDS[ commandName ];
+    if (command) {
+        console.log(`${command.summary}\n\nUsage: ${command.usage}\n`);
+    } else {
+        console.log('Usage: csv-graph <command> [files...] [options]\n\nCommands:');
+        Object.entries(COMMANDS).forEach(([ name, cmd ]) => console.log(`  ${name.padEnd(10)}${cmd.summary}`));
+        console.log('');
+    }
+
+    // compare reads the stats JSON of the output directory, it takes no files
+    if (!command || command.usage.includes('[files...]')) console.log([
+        'Files can be selected by number (as printed by "list"), by glob or by path, e.g.:',
+        '  csv-graph chart 2 "UE5/*.csv" UE4/Narva_AAS_v1.csv',
+        '',
+    ].join('\n'));
+
+    console.log([
+        'Options:',
+        formatOptions(command ? command.options : COMMON_OPTIONS),
+    ].join('\n'));
+}
+
+// Theme of the charts, the flags take precedence over the theme file
+function loadThemeOptions(values) {
+    return loadChartTheme(values.theme, {
+        fontScale: values[ 'font-scale' ],
+        ranges: values.ranges !== undefined ? parseRanges(values.ranges) : undefined,
+        watermark: values.watermark,
+        signature: values[ 'hide-signature' ] ? false : undefined
+    });
+}
+
+// Match time slice of --from/--to, undefined for the whole capture
+function parseWindow(values) {
+    if (values.from === undefined && values.to === undefined) return undefined;
+
+    const window = {};
+    if (values.from !== undefined) window.from = parseDuration(values.from);
+    if (values.to !== undefined) window.to = parseDuration(values.to);
+    if (window.from >= window.to) throw new Error(`--from (${values.from}) must be before --to (${values.to})`);
+    return window;
+}
+
+function resolveFiles(selectors, values) {
+    const files = findProfileFiles(values.input);
+    if (files.length === 0) throw new Error(`No CSV files found in ${values.input}`);
+    return selectFiles(values.input, files, selectors);
+}
+
+// A selector matching no file is a usage error
+function selectFiles(inputDir, files, selectors) {
+    try {
+        return selectProfileFiles(inputDir, files, selectors);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+async function runProcessing(selectors, values, options) {
+    const files = resolveFiles(selectors, values);
+
+    console.log(`📁 Selected ${files.length} CSV file(s):`);
+    files.forEach((file, index) => console.log(`   ${index + 1}. ${file}`));
+    console.log('');
+
+    let bucketMs;
+    let formats;
+    let types;
+    let theme;
+    let window;
+    try {
+        bucketMs = values.bucket ? parseDuration(values.bucket) : undefined;
+        window = parseWindow(values);
+        formats = values.format ? parseChartFormats(values.format) : undefined;
+        types = values.charts ? parseChartTypes(values.charts) : undefined;
+        if (values.layout && !CHART_LAYOUTS.includes(values.layout)) throw new Error(`Invalid layout "${values.layout}", expected one of: ${CHART_LAYOUTS.join(', ')}`);
+        if (options.chart) theme = loadThemeOptions(values);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const metricConfig = await loadMetricConfig(values.metrics);
+    const results = await processProfileFiles(values.input, files, {
+        ...options,
+        metricConfig,
+        bucketMs,
+        window,
+        phases: values.phases,
+        cache: !values[ 'no-cache' ],
+        formats,
+        types,
+        layout: values.layout,
+        theme,
+        combinedPdf: values[ 'combined-pdf' ],
+        outputDir: values.output
+    });
+    const failed = results.filter(r => r.error);
+
+    if (failed.length > 0) {
+        console.error(`\n❌ ${failed.length} of ${results.length} file(s) failed`);
+        return EXIT_FAILURE;
+    }
+
+    return EXIT_OK;
+}
+
+async function runCompare(values) {
+    let config;
+    let align;
+    let theme;
+    try {
+        align = parseOverlayAlignment(values.align);
+        theme = loadThemeOptions(values);
+        if (!CHART_LAYOUTS.includes(values.layout)) throw new Error(`Invalid layout "${values.layout}", expected one of: ${CHART_LAYOUTS.join(', ')}`);
+        config = loadComparisonConfig(values.comparison, {
+            groupBy: values[ 'group-by' ],
+            baseline: values.baseline,
+            phase: values.phase,
+            significance: { alpha: values.alpha, minEffectSize: values[ 'min-effect' ], hideNoise: values[ 'hide-noise' ] }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const groups = Object.values(compareOutputStats(values.output, config)).filter(g => g.comparisonOutput);
+    if (groups.length === 0) {
+        console.error(`❌ No comparable stats found in ${values.output}`);
+        return EXIT_FAILURE;
+    }
+
+    groups.forEach(group => console.log(`${group.mdSummary}\n\n`));
+
+    const metricConfig = await loadMetricConfig(values.metrics);
+    groups.forEach(group => {
+        group.distributionChartPath = generateDistributionChart(group, values.output, { metricConfig, theme });
+        if (group.distributionChartPath) console.log(`📊 Distribution chart saved to: ${group.distributionChartPath}`);
+    });
+
+    if (values.overlay) {
+        for (const group of groups) {
+            group.overlayChartPath = await generateOverlayChart(group, values.output, { align, metricConfig, layout: values.layout, theme, cache: !values[ 'no-cache' ] });
+            if (group.overlayChartPath) console.log(`📊 Overlay chart saved to: ${group.overlayChartPath}`);
+        }
+    }
+
+    const { index } = writeComparisonReports(groups, values.output, values.reports);
+    console.log(`📄 Reports saved to: ${index}`);
+    return EXIT_OK;
+}
+
+function runList(selectors, values) {
+    const allFiles = findProfileFiles(values.input);
+    const files = selectFiles(values.input, allFiles, selectors);
+
+    console.log(`📁 Found ${files.length} CSV file(s) in ${values.input}:`);
+    files.forEach(file => console.log(`   ${allFiles.indexOf(file) + 1}. ${file}`));
+    return EXIT_OK;
+}
+
+async function main(argv) {
+    const [ commandName, ...rest ] = argv;
+
+    if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+        printHelp(rest[ 0 ]);
+        return commandName ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = COMMANDS[ commandName ];
+    if (!command) throw new UsageError(`Unknown command "${commandName}"`);
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: command.options, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (parsed.values.help) {
+        printHelp(commandName);
+        return EXIT_OK;
+    }
+
+    return await command.run(parsed.positionals, parsed.values);
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('❌ Error:', error.message);
+        if (error instanceof UsageError) {
+            console.error('Run "csv-graph --help" for usage.');
+            process.exit(EXIT_USAGE);
+        }
+        process.exit(EXIT_FAILURE);
+    });
@@ -2,26 +2,71 @@
 
 import { EventEmitter } from 'events';
 import DataStore from '../src/services/data-store.js';
+import HitchDetector from '../src/services/hitch-detector.js';
+import { detectPhases } from '../src/services/match-phases.js';
+import PlayerScalingAnalysis from '../src/services/player-scaling.js';
+import { getDefaultMetricConfig, getSeriesById, resolveSeriesColumns } from '../src/services/metric-config.js';
+import RunningStats from '../src/services/running-stats.js';
 
-const SAMPLE_RATE = 500;
 const IN_DEPTH_ANALYSIS = true;
+const METADATA_MARKER = '[HasHeaderRowAtEnd]';
+const EVENTS_COLUMN = 'EVENTS';
 
 export class CsvProfileProcessor extends EventEmitter {
     #columnMap = null
-    #dataStore = new DataStore()
+    #metricConfig
+    #headerLine = null
+    #dataStore
     #lineCount = 0
+    #frameCount = 0
+    #window
     #isFirstLine = true
-    #processedData = []
-    #tpsCounter = 0
-    #lastSecond = 0
     #sampleCounter = 0
+    #hitchDetector = null
+    #playerScaling = null
+    #phasePlayers = []
+    // Distribution of the expression series evaluated per frame, by series id
+    #derivedStats = new Map()
 
     generalStats = []
+    columnStats = []
+    metadata = null
+    events = []
+    hitches = []
+    // Restored from the profile cache instead of read from the capture, see fromCache
+    cached = false
 
     time = 0;
 
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.metricConfig] normalized metric configuration, see metric-config.js
+     * @param {number} [options.bucketMs] aggregation bucket size, overrides the metric configuration
+     * @param {{from?: number, to?: number}} [options.window] only the frames ending in [from, to) ms of the capture are analysed
+     */
+    constructor(options = {}) {
         super();
+        this.#metricConfig = options.metricConfig || getDefaultMetricConfig();
+        this.#window = options.window ? { from: options.window.from, to: options.window.to } : null;
+        this.#dataStore = new DataStore({
+            bucketMs: options.bucketMs || this.#metricConfig.bucketMs,
+            bucketPercentile: this.#metricConfig.bucketPercentile
+        });
+        if (this.#metricConfig.hitches) this.#hitchDetector = new HitchDetector(this.#metricConfig.hitches);
+        if (this.#metricConfig.playerScaling) this.#playerScaling = new PlayerScalingAnalysis(this.#metricConfig.playerScaling.bucketSize);
+
+        this.#metricConfig.series.forEach(series => {
+            if (!series.store) return;
+            if (series.aggregate === 'rate') {
+                this.#dataStore.defineRateCounter(series.counter, { windowMs: series.windowMs, slideMs: series.slideMs });
+                return;
+            }
+
+            // Expressions evaluated per bucket read the counters of the series they name
+            if (series.evaluate !== 'bucket') return;
+            const inputs = Object.fromEntries(series.expression.identifiers.map(id => [ id, getSeriesById(this.#metricConfig, id).counter ]));
+            this.#dataStore.defineDerivedCounter(series.counter, series.expression, inputs);
+        });
     }
 
     processLine(line) {
@@ -30,19 +75,52 @@ export class CsvProfileProcessor extends EventEmitter {
 
     analyzeLine(line) {
         if (this.#isFirstLine) {
-            this.#columnMap = this.parseHeaders(line);
-            this.#isFirstLine = false;
+            this.#headerLine = line.trim();
+            return this.processHeaders(line.split(','));
+        }
+
+        // Unreal's CSV profiler repeats the header row before the metadata trailer
+        if (line.trim() === this.#headerLine) return;
+        if (line.startsWith(METADATA_MARKER)) {
+            this.metadata = this.parseMetadata(line);
             return;
         }
 
-        const dataPoint = this.extractDataPoint(line);
+        return this.processValues(line.split(','));
+    }
+
+    // Entry points shared by the text reader above and the binary capture reader
+    processHeaders(headers) {
+        this.#columnMap = this.parseHeaders(headers);
+        this.#isFirstLine = false;
+    }
+
+    processValues(values) {
+        const dataPoint = this.extractDataPoint(values);
         if (dataPoint) {
+            const frameEnd = this.time + Math.max(Math.round(dataPoint.frameTime) || 0, 0);
+            const inWindow = this.isInWindow(frameEnd);
+
+            if (inWindow) {
+                // Events are kept even on frames without a valid FrameTime, at the current timeline position
+                dataPoint.events?.forEach(name => this.addEvent(name, frameEnd));
+            }
+
             if (isNaN(dataPoint.frameTime) || dataPoint.frameTime <= 0)
                 return
             this.time += Math.round(dataPoint.frameTime);
-            dataPoint.time = new Date(this.time); // Convert to proper Date object
-            this.#dataStore.addTimePoint(dataPoint.time);
-            this.updateMetrics(dataPoint);
+
+            if (inWindow) {
+                this.#frameCount++;
+                // The frames dropped above stay out of the column stats
+                this.addColumnStats(values);
+                dataPoint.time = this.time;
+                this.#dataStore.addTimePoint(dataPoint.time);
+                this.updateMetrics(dataPoint);
+
+                const hitch = this.#hitchDetector?.check(dataPoint.frameTime);
+                if (hitch) this.addHitch(dataPoint.frameTime, hitch.median, values);
+            }
         }
 
         this.#lineCount++;
@@ -51,133 +129,464 @@ export class CsvProfileProcessor extends EventEmitter {
         }
     }
 
-    parseHeaders(line) {
-        const headers = line.split(',').map(h => h.trim());
-
-        // Find all CPU columns that start with 'Exclusive/GameThread/'
-        const cpuColumns = [];
-        headers.forEach((header, index) => {
-            if (header.startsWith('Exclusive/GameThread/')) {
-                // Exclude parent/duplicate columns to avoid double counting
-                if (header.startsWith('Exclusive/GameThread/EventWait')) {
-                    // Skip parent EventWait - we'll include the specific EventWait/* subcategories
-                    return;
-                }
-                if (header.startsWith('Exclusive/GameThread/ReplicateActor')) {
-                    // Skip ReplicateActor - we'll use ServerReplicateActors instead
-                    return;
-                }
-                cpuColumns.push(index);
-            }
-        });
+    parseHeaders(rawHeaders) {
+        const headers = rawHeaders.map(h => h.trim());
 
         const columnMap = {
-            memory: headers.indexOf('PhysicalUsedMB'),
-            frameTime: headers.indexOf('FrameTime'),
-            cpuColumns: cpuColumns, // Array of all CPU column indices
-            playerCount: headers.indexOf('Replication/Connections'),
+            // Columns each configured series reads from, in configuration order
+            series: this.#metricConfig.series.map(series => ({
+                series,
+                columns: resolveSeriesColumns(series, headers)
+            })),
+            headerIndex: new Map(headers.map((h, i) => [ h, i ])),
+            events: headers.indexOf(EVENTS_COLUMN),
+            // Categories of the breakdown chart, every one is bucketed and the top ones picked at the end
+            breakdown: this.#metricConfig.breakdown ? resolveSeriesColumns(this.#metricConfig.breakdown, headers) : [],
+            // Candidate culprits of a hitch, only read on hitch frames
+            hitches: this.#metricConfig.hitches ? resolveSeriesColumns(this.#metricConfig.hitches, headers) : [],
             raw: headers
         };
 
+        // A capture without the player count column is not at 0 players, it has no scaling analysis nor phases
+        const hasSeries = id => {
+            const entry = columnMap.series.find(entry => entry.series.id === id);
+            return Boolean(entry) && (entry.series.aggregate === 'expression' || entry.columns.length > 0);
+        };
+        columnMap.hasPlayers = Boolean(this.#metricConfig.playerScaling) && hasSeries(this.#metricConfig.playerScaling.players);
+        columnMap.hasPhasePlayers = Boolean(this.#metricConfig.phases) && hasSeries(this.#metricConfig.phases.players);
+
+        // Names of the per frame expressions that are neither a series nor a column of this capture
+        const seriesIds = new Set(this.#metricConfig.series.map(series => series.id));
+        columnMap.missingColumns = this.#metricConfig.series
+            .filter(series => series.evaluate === 'frame')
+            .map(series => ({ id: series.id, names: series.expression.identifiers.filter(name => !seriesIds.has(name) && !columnMap.headerIndex.has(name)) }))
+            .filter(entry => entry.names.length > 0);
+
         if (IN_DEPTH_ANALYSIS) {
             headers.forEach((h, i) => {
                 this.generalStats[ i ] = 0;
+                this.columnStats[ i ] = new RunningStats({ quantiles: true });
                 // this.#dataStore.setInfiniteMapValue('general_stats', i, 0)
                 // columnMap.raw[ h ] = i
             })
         }
 
-        // Remove missing columns (except cpuColumns which is an array)
-        Object.keys(columnMap).forEach(key => {
-            if (key !== 'cpuColumns' && columnMap[ key ] === -1) {
-                delete columnMap[ key ];
+        return columnMap;
+    }
+
+    parseMetadata(line) {
+        const values = splitCsvLine(line);
+        const raw = {};
+
+        // Values follow their [key] cell, a key directly followed by another key has no value
+        let key = null;
+        values.forEach(value => {
+            const keyMatch = value.trim().match(/^\[(.+)\]$/);
+            if (keyMatch) {
+                key = keyMatch[ 1 ];
+                raw[ key.toLowerCase() ] = '';
+            } else if (key) {
+                raw[ key.toLowerCase() ] = value.trim();
+                key = null;
             }
         });
 
-        return columnMap;
+        return this.normalizeMetadata(raw);
     }
 
-    extractDataPoint(line) {
-        const values = line.split(',');
-        const row = { index: this.#lineCount, raw: {} };
+    normalizeMetadata(metadata) {
+        const raw = Object.fromEntries(Object.entries(metadata).map(([ k, v ]) => [ k.toLowerCase(), v ]));
+        const startTimestamp = parseInt(raw.starttimestamp);
+
+        return {
+            platform: raw.platform || null,
+            buildVersion: raw.buildversion || null,
+            commandLine: raw.commandline || null,
+            startTime: startTimestamp > 0 ? new Date(startTimestamp * 1000).toISOString() : null,
+            config: raw.config || null,
+            raw
+        };
+    }
 
-        Object.entries(this.#columnMap).forEach(([ key, indexOrArray ]) => {
-            if (key === 'cpuColumns') {
-                // Sum all CPU columns
-                row.cpuTotal = 0;
-                indexOrArray.forEach(index => {
-                    row.cpuTotal += parseFloat(values[ index ]) || 0;
-                });
-            } else if (key != 'raw') {
-                row[ key ] = parseFloat(values[ indexOrArray ]) || 0;
-            }
+    extractDataPoint(values) {
+        const row = { index: this.#lineCount, series: {}, raw: {} };
+
+        this.#columnMap.series.forEach(({ series, columns }) => {
+            row.series[ series.id ] = this.computeSeriesValue(series, columns, values, row.series);
         });
+        row.frameTime = row.series.frameTime;
+        row.breakdown = this.#columnMap.breakdown.map(index => parseFloat(values[ index ]) || 0);
 
-        if (IN_DEPTH_ANALYSIS)
-            values.forEach((_v, i) => {
-                const v = +_v;
-                if (isNaN(v))
-                    return;
-                this.generalStats[ i ] += v;
-            });
+        if (this.#columnMap.events !== -1)
+            row.events = this.parseEvents(values[ this.#columnMap.events ]);
 
         return row;
     }
 
+    addColumnStats(values) {
+        if (!IN_DEPTH_ANALYSIS) return;
+
+        values.forEach((_v, i) => {
+            if (i === this.#columnMap.events) return;
+            // Stats only written on some frames leave empty cells, they are no sample
+            if (typeof _v === 'string' && _v.trim() === '') return;
+            const v = +_v;
+            if (!isFinite(v))
+                return;
+            this.generalStats[ i ] += v;
+            this.columnStats[ i ].add(v);
+        });
+    }
+
+    isInWindow(time) {
+        if (!this.#window) return true;
+        const { from = -Infinity, to = Infinity } = this.#window;
+        return time >= from && time < to;
+    }
+
+    // Match time covered by the analysed frames
+    get duration() {
+        const timePoints = this.#dataStore.getTimePoints();
+        return timePoints.length > 0 ? timePoints[ timePoints.length - 1 ] - timePoints[ 0 ] : 0;
+    }
+
+    computeSeriesValue(series, columns, values, computed) {
+        switch (series.aggregate) {
+            case 'pick':
+                return columns.length > 0 ? parseFloat(values[ columns[ 0 ] ]) || 0 : 0;
+            case 'sum':
+                return columns.reduce((sum, index) => sum + (parseFloat(values[ index ]) || 0), 0);
+            case 'expression':
+                // A name the capture has no column for gives NaN, the frame is left out of the series
+                return series.expression.evaluate(name => {
+                    if (Object.hasOwn(computed, name)) return computed[ name ];
+                    const index = this.#columnMap.headerIndex.get(name);
+                    return index === undefined ? NaN : parseFloat(values[ index ]);
+                });
+            default:
+                // 'rate' series only count frames, see updateMetrics
+                return 1;
+        }
+    }
+
+    // Several events on the same frame are separated by ';'
+    parseEvents(value) {
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        return value.split(';').map(e => e.trim().replace(/^"|"$/g, '')).filter(Boolean);
+    }
+
+    addEvent(name, time) {
+        const event = { time, frame: this.#lineCount, name };
+        this.events.push(event);
+        this.#dataStore.setVar('events', this.events);
+        return event;
+    }
+
+    addPlayerScaling(row) {
+        if (!this.#playerScaling || !this.#columnMap.hasPlayers) return;
+
+        const { players, gameThread } = this.#metricConfig.playerScaling;
+        const playerCount = row.series[ players ];
+        if (!isFinite(playerCount)) return;
+        this.#playerScaling.add(this.time, playerCount, row.frameTime, gameThread ? row.series[ gameThread ] : undefined);
+    }
+
+    // Player count changes, the phases are detected from them once the capture is read
+    addPhasePlayers(row) {
+        if (!this.#columnMap.hasPhasePlayers) return;
+
+        const players = row.series[ this.#metricConfig.phases.players ];
+        if (!isFinite(players) || this.#phasePlayers[ this.#phasePlayers.length - 1 ]?.players === players) return;
+        this.#phasePlayers.push({ time: this.time, players });
+    }
+
+    // Frame over the hitch threshold, with the columns that took the most time on it
+    addHitch(frameTime, median, values) {
+        const definition = this.#metricConfig.hitches;
+        const culprits = this.#columnMap.hitches
+            .map(index => ({ column: this.#columnMap.raw[ index ], value: parseFloat(values[ index ]) || 0 }))
+            .filter(culprit => culprit.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .slice(0, definition.culprits)
+            .map(culprit => ({ name: getColumnName(culprit.column, definition), ...culprit }));
+
+        const hitch = { time: this.time, frame: this.#lineCount, duration: frameTime, median, culprits };
+        this.hitches.push(hitch);
+        this.#dataStore.setVar('hitches', this.hitches);
+        return hitch;
+    }
+
     finalizeGeneralStats() {
         const ret = {};
+        const distributions = {};
         this.generalStats.forEach((v, i) => {
             const header = this.#columnMap.raw[ i ];
-            if (!header) return;
-            ret[ header ] = v / this.#lineCount;
+            if (!header || i === this.#columnMap.events) return;
+            // Mean of the frames the column has a value on, a column without any is left out
+            const { count } = this.columnStats[ i ];
+            if (count === 0) return;
+            ret[ header ] = v / count;
+            distributions[ header ] = this.columnStats[ i ].toJSON();
+        });
+        // Expression series are compared like columns, by counter name
+        this.getDerivedStats().forEach((stats, counter) => {
+            ret[ counter ] = stats.mean;
+            distributions[ counter ] = stats.toJSON();
         });
+        ret.distributions = distributions;
+        if (this.metadata) ret.metadata = this.metadata;
+        if (this.events.length > 0) ret.events = this.events;
+        if (this.#metricConfig.hitches) ret.hitches = this.hitches;
+        if (this.#playerScaling?.frameCount > 0) ret.playerScaling = this.#playerScaling.toJSON();
+        if (this.#window) ret.window = this.#window;
         return ret;
     }
 
     updateMetrics(row) {
-        const memoryMB = row.memory || 0;
         const frameTimeMS = row.frameTime;
 
         if (!frameTimeMS || frameTimeMS <= 0) return;
 
-        const tps = 1000 / frameTimeMS;
-        const cpuTotal = row.cpuTotal || 0;
-        const cpuPerc = cpuTotal / frameTimeMS * 100;
-        // console.log(cpuPerc)
+        // Sampled series are only stored every `sampleEvery` frames
+        this.#sampleCounter++;
 
-        this.#dataStore.incrementRateCounter('TPS', 1, row.time)
+        this.#metricConfig.series.forEach(series => {
+            if (series.evaluate === 'frame') this.addDerivedStats(series, row.series[ series.id ]);
+            // Derived counters are computed by the DataStore when read
+            if (!series.store || series.evaluate === 'bucket') return;
 
-        // Sample CPU data every 10th measurement
-        this.#sampleCounter++;
-        if (this.#sampleCounter % SAMPLE_RATE === 0) {
-            this.#dataStore.setNewCounterValue('CPU Time (ms)', cpuTotal, undefined, row.time);
-            this.#dataStore.setNewCounterValue('CPU Load %', cpuPerc, undefined, row.time);
-            this.#dataStore.setNewCounterValue('Memory Used (MB)', memoryMB, undefined, row.time, true, true);
-        }
+            if (series.aggregate === 'rate') {
+                this.#dataStore.incrementRateCounter(series.counter, 1, row.time);
+                return;
+            }
+
+            const value = row.series[ series.id ];
+            if (!isFinite(value)) return;
+
+            if (series.bucket) {
+                this.#dataStore.addBucketedValue(series.counter, value, row.time);
+                return;
+            }
 
-        this.#dataStore.setNewCounterValue('Player Count', row.playerCount || 0, undefined, row.time, true, true);
+            if (this.#sampleCounter % series.sampleEvery !== 0) return;
+            this.#dataStore.setNewCounterValue(series.counter, value, undefined, row.time, true, series.dedupe);
+        });
 
-        // Object.entries(row.raw).forEach((v, i) => {
-        //     this.#dataStore.incrementCounter(v[ 0 ], v[ 1 ])
-        // })
+        this.addPlayerScaling(row);
+        this.addPhasePlayers(row);
 
-        // Build processed data on the fly
-        this.#processedData.push({
-            index: this.#processedData.length,
-            sample: this.#processedData.length,
-            memoryMB,
-            tps,
-            cpuTotal,
-            playerCount: row.playerCount || 0
+        this.#columnMap.breakdown.forEach((index, i) => {
+            this.#dataStore.addBucketedValue(this.#columnMap.raw[ index ], row.breakdown[ i ], row.time);
         });
     }
 
+    addDerivedStats(series, value) {
+        if (!isFinite(value)) return;
+        if (!this.#derivedStats.has(series.id)) this.#derivedStats.set(series.id, new RunningStats({ quantiles: true }));
+        this.#derivedStats.get(series.id).add(value);
+    }
+
+    /**
+     * Summary of every expression series, per frame or over the buckets of its derived counter.
+     * @returns {Map<string, RunningStats>} by counter name, series without any finite value are left out
+     */
+    getDerivedStats() {
+        const derived = new Map();
+        this.#metricConfig.series.forEach(series => {
+            if (series.evaluate === 'frame' && this.#derivedStats.has(series.id)) {
+                derived.set(series.counter, this.#derivedStats.get(series.id));
+            } else if (series.evaluate === 'bucket' && this.#dataStore.isDerivedCounter(series.counter)) {
+                const stats = new RunningStats({ quantiles: true });
+                this.#dataStore.getSlice(series.counter).values.forEach(value => stats.add(value));
+                if (stats.count > 0) derived.set(series.counter, stats);
+            }
+        });
+        return derived;
+    }
+
+    /**
+     * Top categories of the configured breakdown by total time, the others summed as "Other".
+     * @returns {{ label: string, unit: string, categories: {name: string, column: string, total: number, buckets: object[]}[], other: object|null } | null}
+     */
+    getBreakdown() {
+        const breakdown = this.#metricConfig.breakdown;
+        if (!breakdown || !this.#columnMap) return null;
+
+        const categories = this.#columnMap.breakdown
+            .map(index => {
+                const column = this.#columnMap.raw[ index ];
+                const buckets = this.#dataStore.getBucketedData(column) || [];
+                return {
+                    name: getColumnName(column, breakdown),
+                    column,
+                    total: buckets.reduce((sum, bucket) => sum + bucket.mean * bucket.count, 0),
+                    buckets
+                };
+            })
+            .filter(category => category.buckets.length > 0)
+            .sort((a, b) => b.total - a.total);
+
+        const top = categories.slice(0, breakdown.top);
+        const rest = categories.slice(breakdown.top);
+
+        // Every category gets a value on every frame, so their buckets line up
+        const other = rest.length === 0 ? null : {
+            name: 'Other',
+            column: null,
+            total: rest.reduce((sum, category) => sum + category.total, 0),
+            buckets: rest[ 0 ].buckets.map((bucket, i) => ({
+                x: bucket.x,
+                count: bucket.count,
+                mean: rest.reduce((sum, category) => sum + (category.buckets[ i ]?.mean || 0), 0)
+            }))
+        };
+
+        return { label: breakdown.label, unit: breakdown.unit, categories: top, other };
+    }
+
+    /**
+     * Seeding, live and end phases of the analysed frames, see match-phases.js
+     * @returns {{name: string, from: number, to: number}[]} empty without a phase configuration or a live phase
+     */
+    getPhases() {
+        const timePoints = this.#dataStore.getTimePoints();
+        if (!this.#metricConfig.phases || timePoints.length === 0) return [];
+
+        const capture = { start: +timePoints[ 0 ], end: +timePoints[ timePoints.length - 1 ] };
+        return detectPhases(this.#phasePlayers, this.events, capture, this.#metricConfig.phases);
+    }
+
+    /**
+     * Expression series reading columns the capture does not have, they get no value.
+     * @returns {{id: string, names: string[]}[]}
+     */
+    getMissingColumns() {
+        return this.#columnMap?.missingColumns || [];
+    }
+
+    /**
+     * @returns {PlayerScalingAnalysis|null} null when the capture has no player count
+     */
+    getPlayerScaling() {
+        return this.#playerScaling?.frameCount > 0 ? this.#playerScaling : null;
+    }
+
+    // Distribution of the first column of the frameTime series, see DistributionChartGenerator
+    getFrameTimeSketch() {
+        const frameTime = this.#columnMap?.series.find(entry => entry.series.id === 'frameTime');
+        const index = frameTime?.columns[ 0 ];
+        return index === undefined ? null : this.columnStats[ index ]?.sketch || null;
+    }
+
+    /**
+     * State needed to chart the capture and write its stats again without reading it, see fromCache.
+     * @returns {{ state: object, dataStore: Buffer }}
+     */
+    toCache() {
+        const columnMap = this.#columnMap;
+        return {
+            state: {
+                time: this.time,
+                lineCount: this.#lineCount,
+                frameCount: this.#frameCount,
+                window: this.#window,
+                metadata: this.metadata,
+                events: this.events,
+                hitches: this.hitches,
+                generalStats: this.generalStats,
+                columnStats: this.columnStats.map(stats => stats.toJSON()),
+                columnMap: columnMap && {
+                    raw: columnMap.raw,
+                    events: columnMap.events,
+                    breakdown: columnMap.breakdown,
+                    hitches: columnMap.hitches,
+                    series: columnMap.series.map(({ series, columns }) => ({ id: series.id, columns })),
+                    hasPlayers: columnMap.hasPlayers,
+                    hasPhasePlayers: columnMap.hasPhasePlayers
+                },
+                phasePlayers: this.#phasePlayers,
+                derivedStats: Object.fromEntries([ ...this.#derivedStats ].map(([ id, stats ]) => [ id, stats.toJSON() ])),
+                playerScaling: this.#playerScaling?.toCache() || null
+            },
+            dataStore: this.#dataStore.serialize()
+        };
+    }
+
+    /**
+     * @param {{ state: object, dataStore: Buffer }} cache written by toCache
+     * @param {object} [options] see the constructor, the metric configuration must be the one the cache was written with
+     */
+    static fromCache({ state, dataStore }, options = {}) {
+        const processor = new CsvProfileProcessor({ ...options, window: state.window });
+        processor.cached = true;
+        processor.time = state.time;
+        processor.#lineCount = state.lineCount;
+        processor.#frameCount = state.frameCount;
+        processor.#isFirstLine = false;
+        processor.metadata = state.metadata;
+        processor.events = state.events;
+        processor.hitches = state.hitches;
+        processor.generalStats = state.generalStats;
+        processor.columnStats = state.columnStats.map(stats => RunningStats.fromJSON(stats));
+        processor.#phasePlayers = state.phasePlayers;
+        processor.#derivedStats = new Map(Object.entries(state.derivedStats).map(([ id, stats ]) => [ id, RunningStats.fromJSON(stats) ]));
+        processor.#dataStore = DataStore.deserialize(dataStore);
+        if (state.playerScaling) processor.#playerScaling = PlayerScalingAnalysis.fromCache(state.playerScaling);
+
+        if (state.columnMap) {
+            const seriesColumns = new Map(state.columnMap.series.map(({ id, columns }) => [ id, columns ]));
+            processor.#columnMap = {
+                ...state.columnMap,
+                series: processor.#metricConfig.series.map(series => ({ series, columns: seriesColumns.get(series.id) || [] })),
+                headerIndex: new Map(state.columnMap.raw.map((h, i) => [ h, i ]))
+            };
+        }
+
+        return processor;
+    }
+
+    getMetricConfig() {
+        return this.#metricConfig;
+    }
+
     getDataStore() {
         return this.#dataStore;
     }
+}
 
-    getProcessedData() {
-        return this.#processedData;
-    }
+
+// Column name without the include prefix that selected it, "Exclusive/GameThread/Tick" -> "Tick"
+function getColumnName(column, definition) {
+    const prefix = definition.include.find(p => column.startsWith(p)) || '';
+    return column.slice(prefix.length) || column;
 }
 
+// Splits a CSV line honouring double quoted values (the metadata trailer quotes the command line)
+function splitCsvLine(line) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[ i ];
+        if (quoted && char === '\\' && line[ i + 1 ] === '"') {
+            current += '"';
+            i++;
+        } else if (char === '"') {
+            if (quoted && line[ i + 1 ] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === ',' && !quoted) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current);
+
+    return values;
+}
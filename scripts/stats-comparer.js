@@ -1,3 +1,9 @@
+import QuantileSketch from '../src/services/quantile-sketch.js';
+
+const SIGNIFICANCE_ALPHA_DEFAULT = 0.01;
+// Cliff's delta below 0.147 is considered a negligible effect
+const MIN_EFFECT_SIZE_DEFAULT = 0.147;
+
 export function StatsComparer(reference, candidate) {
     return Object.fromEntries(
         Object.entries(reference)
@@ -6,7 +12,7 @@ export function StatsComparer(reference, candidate) {
                 const refValue = element[ 1 ];
                 const candValue = candidate[ key ];
 
-                if (!candValue) {
+                if (typeof refValue !== 'number' || !candValue) {
                     // console.error(`Candidate object does not have the property "${key}"`)
                     return [ key, null ]
                 }
@@ -21,7 +27,102 @@ export function StatsComparer(reference, candidate) {
     )
 }
 
-function numToStringSymbol(num, precision = 2) {
+/**
+ * Compares a baseline against any number of candidates, column by column.
+ * @param {object} baseline stats JSON of the baseline run
+ * @param {object[]} candidates stats JSON of every candidate run
+ * @param {object} [options] see DistributionComparer
+ * @returns {Object<string, {baseline: number, candidates: (null|{value: number, variation: number, variationPerc: number})[]}>}
+ */
+export function MultiStatsComparer(baseline, candidates, options = {}) {
+    const comparisons = candidates.map(candidate => StatsComparer(baseline, candidate));
+
+    // Attach the distribution test when both runs kept their per-frame sketch
+    comparisons.forEach((comparison, index) => {
+        Object.entries(comparison).forEach(([ key, result ]) => {
+            const baseSketch = baseline.distributions?.[ key ]?.sketch;
+            const candSketch = candidates[ index ].distributions?.[ key ]?.sketch;
+            if (result && baseSketch && candSketch)
+                result.significance = DistributionComparer(baseSketch, candSketch, options);
+        });
+    });
+
+    return Object.fromEntries(
+        Object.entries(baseline)
+            .filter(([ key ]) => comparisons.some(comparison => comparison[ key ]))
+            .map(([ key, baseValue ]) => [ key, {
+                baseline: baseValue,
+                candidates: comparisons.map((comparison, index) => comparison[ key ]
+                    ? { value: candidates[ index ][ key ], ...comparison[ key ] }
+                    : null)
+            } ])
+    )
+}
+
+/**
+ * Mann-Whitney U test between two per-frame distributions stored as quantile sketches.
+ * Every sketch bin is a group of ties, so the test runs on the bins instead of the raw frames.
+ * With the sample sizes of a capture tiny shifts are always "significant", the effect size
+ * (Cliff's delta) decides whether the difference is meaningful or within noise.
+ * @param {object} referenceSketch QuantileSketch JSON of the baseline
+ * @param {object} candidateSketch QuantileSketch JSON of the candidate
+ * @param {object} [options]
+ * @param {number} [options.alpha] p-value threshold (default 0.01)
+ * @param {number} [options.minEffectSize] minimum |Cliff's delta| (default 0.147)
+ */
+export function DistributionComparer(referenceSketch, candidateSketch, options = {}) {
+    const alpha = options.alpha ?? SIGNIFICANCE_ALPHA_DEFAULT;
+    const minEffectSize = options.minEffectSize ?? MIN_EFFECT_SIZE_DEFAULT;
+
+    const reference = QuantileSketch.fromJSON(referenceSketch);
+    const candidate = QuantileSketch.fromJSON(candidateSketch);
+    const n1 = reference.count;
+    const n2 = candidate.count;
+    if (n1 === 0 || n2 === 0 || reference.relativeAccuracy !== candidate.relativeAccuracy) return null;
+
+    // Both sketches share the same bin boundaries, so bins can be matched by value
+    const bins = new Map();
+    reference.getBins().forEach(([ value, count ]) => bins.set(value, [ count, 0 ]));
+    candidate.getBins().forEach(([ value, count ]) => bins.set(value, [ bins.get(value)?.[ 0 ] || 0, count ]));
+
+    let referenceBelow = 0;
+    let u = 0;
+    let tieCorrection = 0;
+    [ ...bins.entries() ].sort((a, b) => a[ 0 ] - b[ 0 ]).forEach(([ , [ refCount, candCount ] ]) => {
+        u += candCount * (referenceBelow + refCount / 2);
+        referenceBelow += refCount;
+        const ties = refCount + candCount;
+        tieCorrection += ties * ties * ties - ties;
+    });
+
+    const n = n1 + n2;
+    const meanU = n1 * n2 / 2;
+    const sigmaU = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieCorrection / (n * (n - 1))));
+    const z = sigmaU > 0 ? (u - meanU) / sigmaU : 0;
+    const pValue = erfc(Math.abs(z) / Math.SQRT2);
+
+    // Probability that a candidate frame is higher than a baseline one, rescaled to [-1, 1]
+    const effectSize = 2 * u / (n1 * n2) - 1;
+
+    return {
+        test: 'mann-whitney',
+        z,
+        pValue,
+        effectSize,
+        significant: pValue < alpha && Math.abs(effectSize) >= minEffectSize
+    };
+}
+
+// Complementary error function (Numerical Recipes erfcc, fractional error < 1.2e-7)
+function erfc(x) {
+    const t = 1 / (1 + 0.5 * Math.abs(x));
+    const y = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? y : 2 - y;
+}
+
+export function numToStringSymbol(num, precision = 2) {
     const numString = num.toFixed(precision);
     if (num > 0) return '+' + numString;
     if (num < 0) return numString;
@@ -0,0 +1,139 @@
+import Chart from 'chart.js/auto';
+import { applyChartCallbacks } from './chart-formatters.js';
+import { getDefaultChartTheme } from './chart-theme.js';
+import { withAlpha } from './chart-generator.js';
+
+const OTHER_COLOR = '#777777';
+
+// Stacked area of the top breakdown categories over time, see CsvProfileProcessor.getBreakdown
+export default class BreakdownChartGenerator {
+    constructor(canvas, canvasWidth, canvasHeight, breakdown, options = {}) {
+        this.basename = options.basename || 'Chart';
+        this.theme = options.theme || getDefaultChartTheme();
+        const fontUnit = canvasHeight * this.theme.fontScale;
+        const { colors, categories: palette } = this.theme;
+
+        const categories = [ ...breakdown.categories, ...(breakdown.other ? [ breakdown.other ] : []) ];
+        const datasets = categories.map((category, index) => {
+            const color = category.column ? palette[ index % palette.length ] : OTHER_COLOR;
+            return {
+                label: category.name,
+                series: { id: category.name, shortLabel: category.name, unit: breakdown.unit, precision: 2 },
+                data: category.buckets.map(bucket => ({ x: bucket.x, y: bucket.mean })),
+                borderColor: color,
+                backgroundColor: withAlpha(color, '99'),
+                borderWidth: 1,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                fill: index === 0 ? 'origin' : '-1'
+            };
+        });
+
+        const xValues = datasets.flatMap(dataset => [ dataset.data[ 0 ]?.x, dataset.data[ dataset.data.length - 1 ]?.x ]).filter(x => x !== undefined);
+
+        this.chartContext = {
+            canvasHeight,
+            theme: this.theme,
+            seriesScales: {}
+        };
+
+        this.chartConfig = {
+            type: 'line',
+            data: {
+                datasets
+            },
+            options: {
+                responsive: false,
+                maintainAspectRatio: false,
+                layout: {
+                    padding: {
+                        left: canvasHeight / 20,
+                        right: canvasHeight / 20,
+                        top: canvasHeight / 40,
+                        bottom: canvasHeight / 40
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        position: 'bottom',
+                        title: {
+                            display: true,
+                            text: 'Time (minutes)',
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 60) }
+                        },
+                        ticks: {
+                            color: colors.title
+                        },
+                        grid: {
+                            color: colors.grid
+                        },
+                        min: Math.min(...xValues),
+                        max: Math.max(...xValues)
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        stacked: true,
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: breakdown.label,
+                            color: colors.text,
+                            font: { size: Math.round(fontUnit / 40) }
+                        },
+                        ticks: {
+                            color: colors.text
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 70) },
+                            usePointStyle: true,
+                            pointStyle: 'rect'
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: options.title || `${this.basename} - ${breakdown.label} breakdown`,
+                        color: colors.title,
+                        font: {
+                            size: Math.round(fontUnit / 40),
+                            weight: 'bold'
+                        },
+                        padding: 20
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        backgroundColor: colors.tooltipBackground,
+                        titleColor: colors.tooltipText,
+                        bodyColor: colors.tooltipText,
+                        borderColor: colors.tooltipText,
+                        borderWidth: 1
+                    }
+                },
+                elements: {
+                    line: {
+                        tension: 0.1
+                    }
+                }
+            }
+        };
+
+        // Without a canvas only the serializable configuration is built, see chartConfig and chartContext
+        if (!canvas) return;
+
+        const plugins = applyChartCallbacks(this.chartConfig, this.chartContext);
+        return new Chart(canvas, { ...this.chartConfig, plugins });
+    }
+}
@@ -0,0 +1,189 @@
+// Chart callbacks and plugins shared by the PNG renderer and the interactive HTML chart.
+// The HTML page inlines this file as is: no imports, and the functions may only use
+// what they get through `context`, which has to be JSON serializable.
+
+const TICK_INTERVALS = [ 1000, 5000, 15000, 30000, 60000, 300000 ];
+const MAX_X_TICKS = 24;
+
+// Minutes for whole-match views, m:ss once zoomed below a minute per tick.
+// Times are negative before the alignment point of comparison charts.
+export function formatTime(value, interval = 1000) {
+    if (interval >= 60000) return `${Math.round(value / 60000)}`;
+
+    const totalSeconds = Math.round(Math.abs(value) / 1000);
+    const seconds = totalSeconds % 60;
+    return `${value < 0 ? '-' : ''}${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+// Finest interval that keeps the axis readable, never coarser than 5 minutes
+function getTickInterval(duration) {
+    return TICK_INTERVALS.find(interval => duration / interval <= MAX_X_TICKS) || TICK_INTERVALS[ TICK_INTERVALS.length - 1 ];
+}
+
+// Base size of the texts of the chart without one of their own. Set on each chart rather than
+// on Chart.defaults.font, which every chart of the process (or page) shares.
+function applyBaseFontSize(options, size) {
+    const withSize = font => ({ size, ...font });
+    const { scales = {}, plugins } = options;
+
+    Object.values(scales).forEach(scale => {
+        scale.ticks = scale.ticks || {};
+        scale.ticks.font = withSize(scale.ticks.font);
+        if (scale.title) scale.title.font = withSize(scale.title.font);
+    });
+
+    if (plugins.legend) plugins.legend.labels = { ...plugins.legend.labels, font: withSize(plugins.legend.labels?.font) };
+    [ plugins.title, plugins.subtitle ].forEach(title => {
+        if (title) title.font = withSize(title.font);
+    });
+    if (plugins.tooltip) [ 'titleFont', 'bodyFont', 'footerFont' ].forEach(key => plugins.tooltip[ key ] = withSize(plugins.tooltip[ key ]));
+    Object.values(plugins.annotation?.annotations || {}).forEach(annotation => {
+        if (annotation.label) annotation.label.font = withSize(annotation.label.font);
+    });
+}
+
+/**
+ * Attaches the callbacks to a chart configuration built by one of the chart generators.
+ * @param {object} config chart.js configuration, mutated
+ * `xUnit` marks an x axis holding values rather than match time, e.g. frame times, shown with `xPrecision` decimals.
+ * `theme` is a normalized chart theme, see chart-theme.js.
+ * @param {{canvasHeight: number, theme: object, scaleInfo?: object, dynamicMarkerValue?: number, seriesScales: Object<string, number>, xUnit?: string, xPrecision?: number}} context
+ * @returns {object[]} plugins of this chart only, they close over the context
+ */
+export function applyChartCallbacks(config, context) {
+    const { canvasHeight, theme, scaleInfo, dynamicMarkerValue, seriesScales, xUnit, xPrecision = 2 } = context;
+    const { scales, plugins } = config.options;
+    applyBaseFontSize(config.options, Math.round(canvasHeight / 50 * theme.fontScale));
+
+    if (!xUnit) scales.x.ticks.callback = function (value, index, ticks) {
+        const interval = ticks.length > 1 ? ticks[ 1 ].value - ticks[ 0 ].value : 60000;
+        return formatTime(value, interval);
+    };
+
+    if (!xUnit) scales.x.afterBuildTicks = function (scale) {
+        const min = scale.min;
+        const max = scale.max;
+        const duration = max - min;
+        const interval = getTickInterval(duration);
+
+        const ticks = [];
+        for (let i = 0; i <= Math.ceil(duration / interval); i++) {
+            const tickValue = min + (i * interval);
+            if (tickValue <= max) {
+                ticks.push({ value: tickValue });
+            }
+        }
+
+        // Always include the max value if it's not already included
+        const lastTick = ticks[ ticks.length - 1 ];
+        if (!lastTick || lastTick.value < max) {
+            ticks.push({ value: max });
+        }
+
+        scale.ticks = ticks;
+    };
+
+    // The combined labels only make sense on the shared layout axes of the timeline
+    if (scales.y && scaleInfo) scales.y.ticks.callback = function (value) {
+        const tpsVal = value.toFixed(0);
+        const playerVal = (value / scaleInfo.playerScale).toFixed(0);
+
+        // Highlight the dynamic marker value
+        if (Math.abs(value - dynamicMarkerValue) < 0.5) {
+            return `${dynamicMarkerValue.toFixed(1)} TPS ★ | ${playerVal}p`;
+        }
+
+        return `${tpsVal} TPS | ${playerVal}p`;
+    };
+
+    if (scales.y1 && scaleInfo) scales.y1.ticks.callback = function (value) {
+        // Show memory and CPU values for this scale point
+        const memoryVal = (value / scaleInfo.memoryScale).toFixed(0);
+        const cpuVal = (value / scaleInfo.cpuTimeScale).toFixed(1);
+        return `${memoryVal}MB | ${cpuVal}ms`;
+    };
+
+    plugins.legend.labels.filter = (item, chartData) => !chartData.datasets[ item.datasetIndex ].band;
+    plugins.tooltip.filter = (item) => !item.dataset.band;
+    plugins.tooltip.callbacks = {
+        title: function (tooltipItems) {
+            const x = tooltipItems[ 0 ].parsed.x;
+            return xUnit ? `${x.toFixed(xPrecision)} ${xUnit}` : formatTime(x);
+        },
+        label: function (tooltipContext) {
+            const datasetLabel = tooltipContext.dataset.label;
+            const value = tooltipContext.parsed.y;
+            const series = tooltipContext.dataset.series;
+
+            if (series) {
+                const actualValue = value / (seriesScales[ series.id ] ?? 1);
+                const unit = series.unit ? ` ${series.unit}` : '';
+                const run = tooltipContext.dataset.run ? ` (${tooltipContext.dataset.run})` : '';
+                return `${series.shortLabel}${run}: ${actualValue.toFixed(series.precision ?? 2)}${unit}`;
+            }
+            return `${datasetLabel}: ${value.toFixed(2)}`;
+        }
+    };
+
+    const backgroundGradient = {
+        id: 'backgroundGradient',
+        beforeDraw: (chart) => {
+            const ctx = chart.canvas.getContext('2d');
+            ctx.fillStyle = theme.colors.background;
+            ctx.fillRect(0, 0, chart.width, chart.height);
+
+            if (!theme.watermark) return;
+
+            // Behind the datasets, across the middle of the chart
+            ctx.save();
+            ctx.translate(chart.width / 2, chart.height / 2);
+            ctx.rotate(-Math.PI / 8);
+            ctx.fillStyle = theme.colors.watermark;
+            ctx.font = `bold ${Math.round(canvasHeight / 8 * theme.fontScale)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(theme.watermark, 0, 0);
+            ctx.restore();
+        }
+    };
+
+    // Adds the dynamic marker tick
+    const dynamicTickPlugin = {
+        id: 'dynamicTick',
+        afterUpdate: (chart) => {
+            const yScale = chart.scales.y;
+            if (yScale && typeof dynamicMarkerValue === 'number') {
+                // Check if marker value is not already close to existing ticks
+                const shouldAddMarker = !yScale.ticks.some(tick => Math.abs(tick.value - dynamicMarkerValue) < 12.5);
+
+                if (shouldAddMarker && dynamicMarkerValue >= yScale.min && dynamicMarkerValue <= yScale.max) {
+                    yScale.ticks.push({ value: dynamicMarkerValue });
+                    yScale.ticks.sort((a, b) => a.value - b.value);
+                }
+            }
+        }
+    };
+
+    const signaturePlugin = {
+        id: 'signature',
+        afterDraw: (chart) => {
+            if (!theme.signature) return;
+
+            const ctx = chart.ctx;
+            ctx.save();
+
+            ctx.fillStyle = theme.colors.signature;
+            ctx.font = `${Math.round(canvasHeight / 70 * theme.fontScale)}px Arial`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+
+            // Draw signature in bottom right corner
+            const padding = Math.round(canvasHeight / 80);
+            ctx.fillText(theme.signature, chart.width - padding, chart.height - padding);
+
+            ctx.restore();
+        }
+    };
+
+    return [ backgroundGradient, dynamicTickPlugin, signaturePlugin ];
+}
@@ -1,24 +1,71 @@
 import Chart from 'chart.js/auto';
 import annotationPlugin from 'chartjs-plugin-annotation';
-
-// Fixed range configuration - set to true to use fixed Y-axis ranges
-const USE_FIXED_RANGES = false;
-
-// Fixed range values (when USE_FIXED_RANGES is true)
-const FIXED_RANGES = {
-    TPS: 75,
-    PLAYERS: 125,
-    MEMORY_MB: 8192,
-    CPU_MS: 150,
-    CPU_LOAD_PERC: 110
-};
+import { applyChartCallbacks } from './chart-formatters.js';
+import { getDefaultChartTheme } from './chart-theme.js';
+import { getTopHitches } from './hitch-detector.js';
+import { getDefaultMetricConfig, getSeriesById } from './metric-config.js';
+
+// The annotation plugin is stateless, the plugins of applyChartCallbacks are passed to each chart instead
+Chart.register(annotationPlugin);
+
+// Share of the TPS range used by the series drawn on the same scale
+const MEMORY_RANGE_SHARE = 0.8;
+const PLAYER_RANGE_SHARE = 0.4;
+
+// Series drawn for every run of a comparison chart, told apart by dash style
+const OVERLAY_SERIES = [ 'tps', 'memory', 'playerCount' ];
+const OVERLAY_DASHES = [ [], [ 12, 6 ], [ 3, 5 ], [ 12, 4, 3, 4 ], [ 20, 8 ] ];
+
+// `shared` rescales every series onto the TPS axes, `stacked` gives each panel its own unit axis
+export const CHART_LAYOUTS = [ 'shared', 'stacked' ];
+const PANEL_AXIS_PREFIX = 'panel_';
+
+// Only the longest hitches are marked, a bad capture can have thousands
+const MAX_HITCH_ANNOTATIONS = 200;
+
+// Series are resampled to this many points per horizontal pixel of the chart
+const POINTS_PER_PIXEL = 2;
+
+/**
+ * Parses how comparison runs are lined up on the time axis:
+ * "start" (time since the start of each run) or "players:<count>" (first time the player count reaches it).
+ * @param {string} value
+ * @returns {{ kind: 'start' } | { kind: 'players', threshold: number }}
+ */
+export function parseOverlayAlignment(value = 'start') {
+    if (value === 'start') return { kind: 'start' };
+
+    const match = String(value).match(/^players:(\d+)$/);
+    if (!match) throw new Error(`Invalid alignment "${value}", expected "start" or "players:<count>"`);
+    return { kind: 'players', threshold: parseInt(match[ 1 ]) };
+}
+
+// Appends a hex alpha to a #RGB or #RRGGBB colour
+export function withAlpha(color, alpha) {
+    if (!color || !color.startsWith('#')) return color;
+    const hex = color.length === 4 ? '#' + [ ...color.slice(1) ].map(c => c + c).join('') : color.slice(0, 7);
+    return hex + alpha;
+}
 
 // Flexible 3-metric chart generator
+// `data` is a DataStore, or for a comparison chart a list of runs `{ label, data }` drawn on a
+// shared time axis (first run is the baseline, lined up following options.align)
 export default class ThreeMetricChartGenerator {
     constructor(canvas, canvasWidth, canvasHeight, data, options = {}) {
         this.basename = options.basename || 'Chart';
         this.titleOverride = options.title || null;
-        Chart.defaults.font.size = Math.round(canvasHeight / 50);
+        this.metadata = options.metadata || null;
+        this.metricConfig = options.metricConfig || getDefaultMetricConfig();
+        this.layout = options.layout || 'shared';
+        this.theme = options.theme || getDefaultChartTheme();
+        // Font sizes are relative to the chart height, scaled by the theme
+        this.fontUnit = canvasHeight * this.theme.fontScale;
+        // null keeps every point, e.g. for a chart that can be zoomed in
+        this.maxPoints = options.maxPoints !== undefined ? options.maxPoints : canvasWidth * POINTS_PER_PIXEL;
+        if (!CHART_LAYOUTS.includes(this.layout)) throw new Error(`Invalid chart layout "${this.layout}", expected one of: ${CHART_LAYOUTS.join(', ')}`);
+
+        const runs = Array.isArray(data) ? this.alignRuns(data, options.align || parseOverlayAlignment()) : null;
+        if (runs) data = runs[ 0 ].data;
 
         // Get available metrics from the data store
         const availableMetrics = this.detectMetrics(data);
@@ -28,70 +75,30 @@ export default class ThreeMetricChartGenerator {
         const dynamicMarkerValue = this.calculateDynamicMarker(data, availableMetrics);
         // console.log('🎯 Dynamic marker value:', dynamicMarkerValue);
 
-        if (!USE_FIXED_RANGES)
-            FIXED_RANGES.TPS = Math.ceil(dynamicMarkerValue / 25) * 25
-
-        // Calculate TPS range and scaling factors
-        const scaleInfo = this.calculateScaling(data, availableMetrics);
+        // Calculate TPS range and scaling factors, without TPS data the range follows the marker
+        const fallbackTpsMax = Math.ceil(dynamicMarkerValue / 25) * 25;
+        const scaleInfo = runs ? this.calculateOverlayScaling(runs, fallbackTpsMax) : this.calculateScaling(data, availableMetrics, fallbackTpsMax);
         // console.log('📏 Scaling info:', scaleInfo);
 
         // Create datasets for our 3 core metrics with scaling
-        const datasets = this.createDatasets(data, availableMetrics, canvasHeight, scaleInfo);
-
-        // Register background gradient plugin
-        const backgroundGradient = {
-            id: 'backgroundGradient',
-            beforeDraw: (chart) => {
-                const ctx = chart.canvas.getContext('2d');
-                ctx.fillStyle = '#18181a';
-                ctx.fillRect(0, 0, chart.width, chart.height);
-            }
+        const datasets = runs
+            ? this.createOverlayDatasets(runs, canvasHeight, scaleInfo)
+            : this.createDatasets(data, availableMetrics, canvasHeight, scaleInfo);
+        const timeRange = this.getTimeRange(runs || [ { data, offset: 0 } ]);
+
+        // Everything the callbacks need, kept serializable for the interactive HTML chart
+        this.chartContext = {
+            canvasHeight,
+            theme: this.theme,
+            scaleInfo,
+            dynamicMarkerValue,
+            seriesScales: Object.fromEntries(this.metricConfig.series.map(series => [ series.id, this.getSeriesScale(series.id, scaleInfo) ]))
         };
 
-        // Plugin to add dynamic marker tick
-        const dynamicTickPlugin = {
-            id: 'dynamicTick',
-            afterUpdate: (chart) => {
-                const yScale = chart.scales.y;
-                if (yScale) {
-                    // Check if marker value is not already close to existing ticks
-                    const markerValue = dynamicMarkerValue;
-                    const shouldAddMarker = !yScale.ticks.some(tick => Math.abs(tick.value - markerValue) < 12.5);
-
-                    if (shouldAddMarker && markerValue >= yScale.min && markerValue <= yScale.max) {
-                        // Add the marker value as a tick
-                        yScale.ticks.push({ value: markerValue });
-                        // Sort ticks by value
-                        yScale.ticks.sort((a, b) => a.value - b.value);
-                    }
-                }
-            }
-        };
+        const { colors } = this.theme;
+        const tpsSeries = getSeriesById(this.metricConfig, 'tps');
 
-        // Plugin to add signature
-        const signaturePlugin = {
-            id: 'signature',
-            afterDraw: (chart) => {
-                const ctx = chart.ctx;
-                ctx.save();
-                
-                // Set signature style
-                ctx.fillStyle = '#777';
-                ctx.font = `${Math.round(canvasHeight / 70)}px Arial`;
-                ctx.textAlign = 'right';
-                ctx.textBaseline = 'bottom';
-                
-                // Draw signature in bottom right corner
-                const padding = Math.round(canvasHeight / 80);
-                ctx.fillText('Made with ♥ by JetDave', chart.width - padding, chart.height - padding);
-                
-                ctx.restore();
-            }
-        };
-
-        Chart.register(backgroundGradient, annotationPlugin, dynamicTickPlugin, signaturePlugin);
-
-        const chartConfig = {
+        this.chartConfig = {
             type: "line",
             data: {
                 datasets: datasets
@@ -115,45 +122,17 @@ export default class ThreeMetricChartGenerator {
                         title: {
                             display: true,
                             text: 'Time (minutes)',
-                            color: '#FFFFFF',
-                            font: { size: Math.round(canvasHeight / 60) }
+                            color: colors.title,
+                            font: { size: Math.round(this.fontUnit / 60) }
                         },
                         ticks: {
-                            color: '#FFFFFF',
-                            callback: function (value) {
-                                const minutes = Math.round(value / 60000);
-                                return minutes;
-                            }
-                        },
-                        afterBuildTicks: function(scale) {
-                            const min = scale.min;
-                            const max = scale.max;
-                            const duration = max - min;
-                            const interval = 300000; // 10 minutes in ms
-                            
-                            const ticks = [];
-                            
-                            // Generate ticks at 10-minute intervals
-                            for (let i = 0; i <= Math.ceil(duration / interval); i++) {
-                                const tickValue = min + (i * interval);
-                                if (tickValue <= max) {
-                                    ticks.push({ value: tickValue });
-                                }
-                            }
-                            
-                            // Always include the max value if it's not already included
-                            const lastTick = ticks[ticks.length - 1];
-                            if (!lastTick || lastTick.value < max) {
-                                ticks.push({ value: max });
-                            }
-                            
-                            scale.ticks = ticks;
+                            color: colors.title
                         },
                         grid: {
-                            color: '#FFFFFF22'
+                            color: colors.grid
                         },
-                        min: data.getTimePoints()[ 0 ],
-                        max: data.getTimePoints()[ data.getTimePoints().length - 1 ]
+                        min: timeRange.min,
+                        max: timeRange.max
                     },
                     y: {
                         type: 'linear',
@@ -164,26 +143,15 @@ export default class ThreeMetricChartGenerator {
                         title: {
                             display: true,
                             text: 'Tick Rate, Player Count',
-                            color: '#CCCCCC',
-                            font: { size: Math.round(canvasHeight / 40) }
+                            color: colors.text,
+                            font: { size: Math.round(this.fontUnit / 40) }
                         },
                         ticks: {
-                            color: '#CCCCCC',
-                            stepSize: 5,
-                            callback: function (value) {
-                                const tpsVal = value.toFixed(0);
-                                const playerVal = (value / scaleInfo.playerScale).toFixed(0);
-
-                                // Highlight the dynamic marker value
-                                if (Math.abs(value - dynamicMarkerValue) < 0.5) {
-                                    return `${dynamicMarkerValue.toFixed(1)} TPS ★ | ${playerVal}p`;
-                                }
-
-                                return `${tpsVal} TPS | ${playerVal}p`;
-                            }
+                            color: colors.text,
+                            stepSize: 5
                         },
                         grid: {
-                            color: '#4ECDC433'
+                            color: tpsSeries ? withAlpha(this.getSeriesColor(tpsSeries), '33') : colors.grid
                         }
                     },
                     y1: {
@@ -195,18 +163,11 @@ export default class ThreeMetricChartGenerator {
                         title: {
                             display: true,
                             text: 'Memory, CPU',
-                            color: '#CCCCCC',
-                            font: { size: Math.round(canvasHeight / 40) }
+                            color: colors.text,
+                            font: { size: Math.round(this.fontUnit / 40) }
                         },
                         ticks: {
-                            color: '#CCCCCC',
-                            callback: function (value) {
-                                // Show memory, CPU and player values for this scale point
-                                const memoryVal = (value / scaleInfo.memoryScale).toFixed(0);
-                                const cpuVal = (value / scaleInfo.cpuTimeScale).toFixed(1);
-                                // const cpuPerc = (value / scaleInfo.cpuLoadScale).toFixed(1);
-                                return `${memoryVal}MB | ${cpuVal}ms`;
-                            }
+                            color: colors.text
                         },
                         grid: {
                             display: false
@@ -218,8 +179,8 @@ export default class ThreeMetricChartGenerator {
                         display: true,
                         position: 'top',
                         labels: {
-                            color: '#FFFFFF',
-                            font: { size: Math.round(canvasHeight / 70) },
+                            color: colors.title,
+                            font: { size: Math.round(this.fontUnit / 70) },
                             usePointStyle: true,
                             pointStyle: 'circle'
                         }
@@ -230,63 +191,51 @@ export default class ThreeMetricChartGenerator {
                                 type: 'line',
                                 yMin: dynamicMarkerValue,
                                 yMax: dynamicMarkerValue,
-                                borderColor: '#FFD700',
+                                borderColor: colors.marker,
                                 borderWidth: 1,
                                 borderDash: [ 5, 5 ],
                                 label: {
                                     content: `${dynamicMarkerValue.toFixed(1)} TPS Avg (0-1)`,
                                     enabled: true,
                                     position: 'end',
-                                    backgroundColor: 'rgba(255, 215, 0, 0.8)',
-                                    color: '#000000',
+                                    backgroundColor: withAlpha(colors.marker, 'CC'),
+                                    color: colors.markerText,
                                     font: {
-                                        size: Math.round(canvasHeight / 80)
+                                        size: Math.round(this.fontUnit / 80)
                                     }
                                 }
-                            }
+                            },
+                            ...this.createEventAnnotations(data, runs ? runs[ 0 ].offset : 0),
+                            ...this.createHitchAnnotations(data, canvasHeight, runs ? runs[ 0 ].offset : 0)
                         }
                     },
                     title: {
                         display: true,
                         text: this.titleOverride || `${this.basename}`,
-                        color: '#FFFFFF',
+                        color: colors.title,
                         font: {
-                            size: Math.round(canvasHeight / 40),
+                            size: Math.round(this.fontUnit / 40),
                             weight: 'bold'
                         },
                         padding: 20
                     },
+                    subtitle: {
+                        display: Boolean(this.metadata),
+                        text: this.formatMetadataSubtitle(this.metadata),
+                        color: colors.subtitle,
+                        font: {
+                            size: Math.round(this.fontUnit / 70)
+                        },
+                        padding: { bottom: 10 }
+                    },
                     tooltip: {
                         mode: 'index',
                         intersect: false,
-                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                        titleColor: '#FFFFFF',
-                        bodyColor: '#FFFFFF',
-                        borderColor: '#FFFFFF',
-                        borderWidth: 1,
-                        callbacks: {
-                            title: function (tooltipItems) {
-                                return `${tooltipItems[ 0 ].label}`;
-                            },
-                            label: function (context) {
-                                const datasetLabel = context.dataset.label;
-                                const value = context.parsed.y;
-
-                                if (datasetLabel.includes('Memory')) {
-                                    const actualValue = value / scaleInfo.memoryScale;
-                                    return `Memory: ${actualValue.toFixed(0)} MB`;
-                                } else if (datasetLabel.includes('CPU')) {
-                                    const actualValue = value / scaleInfo.cpuTimeScale;
-                                    return `CPU: ${actualValue.toFixed(2)} ms`;
-                                } else if (datasetLabel.includes('Player')) {
-                                    const actualValue = value / scaleInfo.playerScale;
-                                    return `Players: ${actualValue.toFixed(0)}`;
-                                } else if (datasetLabel.includes('TPS')) {
-                                    return `TPS: ${value.toFixed(1)}`;
-                                }
-                                return `${datasetLabel}: ${value.toFixed(2)}`;
-                            }
-                        }
+                        backgroundColor: colors.tooltipBackground,
+                        titleColor: colors.tooltipText,
+                        bodyColor: colors.tooltipText,
+                        borderColor: colors.tooltipText,
+                        borderWidth: 1
                     }
                 },
                 elements: {
@@ -301,297 +250,375 @@ export default class ThreeMetricChartGenerator {
             }
         };
 
-        return new Chart(canvas, chartConfig);
+        if (this.layout === 'stacked') this.applyStackedLayout(this.chartConfig);
+
+        // Without a canvas only the serializable configuration is built, see chartConfig and chartContext
+        if (!canvas) return;
+
+        const plugins = applyChartCallbacks(this.chartConfig, this.chartContext);
+        return new Chart(canvas, { ...this.chartConfig, plugins });
+    }
+
+    // Profiler events (map loads, CsvProfiler begin/end, game events) as labelled vertical lines
+    createEventAnnotations(data, offset = 0) {
+        const events = data.getVar('events') || [];
+        const annotations = {};
+
+        events.forEach((event, index) => {
+            annotations[ `event${index}` ] = {
+                type: 'line',
+                xMin: event.time - offset,
+                xMax: event.time - offset,
+                borderColor: this.theme.colors.event,
+                borderWidth: 1,
+                borderDash: [ 2, 4 ],
+                label: {
+                    display: true,
+                    content: event.name,
+                    position: 'start',
+                    rotation: -90,
+                    backgroundColor: this.theme.colors.eventLabelBackground,
+                    color: this.theme.colors.eventLabel,
+                    font: {
+                        size: Math.round(this.fontUnit / 90)
+                    }
+                }
+            };
+        });
+
+        return annotations;
+    }
+
+    // Hitches as points at the tick rate of their frame (1000 / duration) on the TPS axis, sized by how far they exceed the median
+    createHitchAnnotations(data, canvasHeight, offset = 0) {
+        const hitches = getTopHitches(data.getVar('hitches'), MAX_HITCH_ANNOTATIONS);
+        const annotations = {};
+
+        hitches.forEach((hitch, index) => {
+            const ratio = hitch.median ? hitch.duration / hitch.median : 1;
+            annotations[ `hitch${index}` ] = {
+                type: 'point',
+                xValue: hitch.time - offset,
+                yValue: 1000 / hitch.duration,
+                yScaleID: 'y',
+                radius: Math.round(this.fontUnit / 300 * Math.min(Math.max(Math.sqrt(ratio), 1), 3)),
+                backgroundColor: withAlpha(this.theme.colors.hitch, '99'),
+                borderColor: this.theme.colors.hitch,
+                borderWidth: 1
+            };
+        });
+
+        return annotations;
+    }
+
+    // Offsets every run so its alignment point lands on x = 0
+    alignRuns(runs, align) {
+        return runs.map(run => {
+            const timePoints = run.data.getTimePoints();
+            let offset = timePoints[ 0 ] || 0;
+
+            if (align.kind === 'players') {
+                const playerCounter = this.detectMetrics(run.data).playerCount;
+                const { times, values } = run.data.getSlice(playerCounter);
+                const reached = values.findIndex(value => value >= align.threshold);
+
+                if (reached !== -1) offset = times[ reached ];
+                else console.warn(`⚠️  ${run.label} never reaches ${align.threshold} players, aligned on its start`);
+            }
+
+            return { ...run, offset };
+        });
+    }
+
+    getTimeRange(runs) {
+        const ranges = runs.map(run => {
+            const timePoints = run.data.getTimePoints();
+            return [ timePoints[ 0 ] - run.offset, timePoints[ timePoints.length - 1 ] - run.offset ];
+        });
+
+        return {
+            min: Math.min(...ranges.map(([ min ]) => min)),
+            max: Math.max(...ranges.map(([ , max ]) => max))
+        };
+    }
+
+    formatMetadataSubtitle(metadata) {
+        if (!metadata) return '';
+
+        return [
+            metadata.buildVersion && `Build ${metadata.buildVersion}`,
+            metadata.platform,
+            metadata.config,
+            metadata.startTime && `Started ${metadata.startTime.replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`
+        ].filter(Boolean).join('  •  ');
     }
 
+    // Maps every configured series id to its counter key, when the data store has it
     detectMetrics(data) {
-        // Get all available counter keys from the data store
-        const allKeys = [
+        const allKeys = new Set([
             ...data.counters.keys(),
             ...(data.numericalCounters?.keys() || []),
-            ...(data.rateCounters?.keys() || [])
-        ];
+            ...(data.rateCounters?.keys() || []),
+            ...(data.bucketedCounters?.keys() || []),
+            ...(data.derivedCounters?.keys() || [])
+        ]);
 
         const metrics = {
             memory: null,
             tps: null,
             cpuTime: null,
-            // cpuPerc: null,
             frameTime: null,
             playerCount: null
         };
 
-        // Detect memory metrics
-        const memoryKeys = allKeys.filter(key =>
-            key.toLowerCase().includes('memory') && key.toLowerCase().includes('mb')
-        );
-        if (memoryKeys.length > 0) metrics.memory = memoryKeys[ 0 ];
-
-        // Detect TPS metrics
-        const tpsKeys = allKeys.filter(key =>
-            key.toLowerCase().includes('tps')
-        );
-        if (tpsKeys.length > 0) metrics.tps = tpsKeys[ 0 ];
-
-        // Detect CPU time metrics
-        const cpuLoadKeys = allKeys.filter(key =>
-            key.toLowerCase().includes('cpu') && key.toLowerCase().includes('ms')
-        );
-        if (cpuLoadKeys.length > 0) metrics.cpuTime = cpuLoadKeys[ 0 ];
-
-        // Detect CPU perc metrics
-        // const cpuPercKeys = allKeys.filter(key =>
-        //     key.toLowerCase().includes('cpu') && key.toLowerCase().includes('%')
-        // );
-        // if (cpuPercKeys.length > 0) metrics.cpuPerc = cpuPercKeys[ 0 ];
-
-        // Detect FrameTime (for TPS calculation)
-        const frameTimeKeys = allKeys.filter(key =>
-            key.toLowerCase().includes('frame') && key.toLowerCase().includes('time')
-        );
-        if (frameTimeKeys.length > 0) metrics.frameTime = frameTimeKeys[ 0 ];
-
-        // Detect Player Count metrics
-        const playerCountKeys = allKeys.filter(key =>
-            key.toLowerCase().includes('player') && key.toLowerCase().includes('count')
-        );
-        if (playerCountKeys.length > 0) metrics.playerCount = playerCountKeys[ 0 ];
+        this.metricConfig.series.forEach(series => {
+            if (allKeys.has(series.counter)) metrics[ series.id ] = series.counter;
+        });
 
         return metrics;
     }
 
-    calculateScaling(data, metrics) {
-        if (USE_FIXED_RANGES) {
-            // Use fixed ranges instead of dynamic scaling
-            const yMax = FIXED_RANGES.TPS;
-
-            // Calculate scaling factors to map fixed ranges to the TPS scale
-            const memoryScale = yMax / FIXED_RANGES.MEMORY_MB;
-            const cpuTimeScale = /*yMax /*/ FIXED_RANGES.CPU_MS;
-            const playerScale = yMax / FIXED_RANGES.PLAYERS;
-
-            return {
-                yMax,
-                memoryScale,
-                cpuTimeScale,
-                playerScale,
-                maxTPS: FIXED_RANGES.TPS,
-                originalMemoryMax: FIXED_RANGES.MEMORY_MB,
-                originalCPUMax: FIXED_RANGES.CPU_MS,
-                originalPlayerMax: FIXED_RANGES.PLAYERS
-            };
-        }
+    // The theme palette takes precedence over the colours of the metric configuration
+    getSeriesColor(series) {
+        return this.theme.palette[ series.id ] || series.color;
+    }
 
-        // Dynamic scaling (original behavior)
-        // Get TPS data to determine primary scale
-        let tpsData = [];
+    getSeriesBackground(series) {
+        if (this.theme.palette[ series.id ]) return withAlpha(this.theme.palette[ series.id ], '22');
+        return series.backgroundColor || withAlpha(series.color, '22');
+    }
 
-        if (metrics.tps) {
-            tpsData = data.getCounterData(metrics.tps) || [];
-        } else if (metrics.frameTime) {
-            const frameTimeData = data.getCounterData(metrics.frameTime) || [];
-            tpsData = frameTimeData.map(point => ({
-                x: point.x,
-                y: point.y > 0 ? 1000 / point.y : 0
-            }));
-        }
+    getSeriesScale(seriesId, scaleInfo) {
+        // Panels have their own unit axis, values are drawn as they are
+        if (this.layout === 'stacked') return 1;
 
-        if (tpsData.length === 0) {
-            // Fallback if no TPS data
-            return {
-                yMax: FIXED_RANGES.TPS,
-                memoryScale: FIXED_RANGES.MEMORY_MB,
-                cpuTimeScale: FIXED_RANGES.CPU_MS,
-                playerScale: FIXED_RANGES.PLAYERS
-            };
+        switch (seriesId) {
+            case 'memory': return scaleInfo.memoryScale;
+            case 'cpuTime': return scaleInfo.cpuTimeScale;
+            case 'cpuPerc': return scaleInfo.cpuLoadScale ?? 1;
+            case 'playerCount': return scaleInfo.playerScale;
+            default: return 1;
         }
+    }
 
-        // Calculate max TPS
-        const maxTPS = Math.max(...tpsData.map(d => d.y));
+    calculateScaling(data, metrics, fallbackTpsMax) {
+        const { ranges } = this.theme;
 
-        // Find closest multiple of 50 greater than maxTPS
-        const yMax = Math.ceil(maxTPS / 50) * 50;
+        // TPS data determines the primary scale, the frame times give it when there is no TPS series
+        const tps = this.getTpsValues(data, metrics);
+        const maxTPS = tps.reduce((max, value) => Math.max(max, value), tps.length > 0 ? -Infinity : 0);
+
+        // Fixed range of the theme, or the closest multiple of 50 greater than maxTPS
+        const yMax = ranges.tps ?? (tps.length > 0 ? Math.ceil(maxTPS / 50) * 50 : fallbackTpsMax);
 
         // Calculate scaling factors for Memory, CPU, and Player Count
-        const memoryData = data.getCounterData(metrics.memory) || [];
-        const cpuData = data.getCounterData(metrics.cpuTime) || [];
-        const playerData = data.getCounterData(metrics.playerCount) || [];
-
-        let memoryScale = 1; // Default scale
-        let cpuTimeScale = 1;     // Default scale
-        let playerScale = 1;   // Default scale
-
-        if (memoryData.length > 0) {
-            const maxMemory = Math.max(...memoryData.map(d => d.y));
-            // Scale memory to fit within yMax range (use about 80% of range)
-            memoryScale = (yMax * 0.8) / maxMemory;
-        }
+        const originalMemoryMax = data.getExtent(metrics.memory)?.max ?? 0;
+        const originalCPUMax = data.getExtent(metrics.cpuTime)?.max ?? 0;
+        const originalPlayerMax = data.getExtent(metrics.playerCount)?.max ?? 0;
 
-        if (false && cpuData.length > 0) {
-            const maxCPU = Math.max(...cpuData.map(d => d.y));
-            // Scale CPU to fit within yMax range (use about 60% of range)
-            cpuTimeScale = (yMax * 0.3) / maxCPU;
-        }
+        return {
+            yMax,
+            // Memory uses about 80% of the range, player count about 40%, CPU time is drawn as is
+            memoryScale: this.getRangeScale('memory', yMax, originalMemoryMax, MEMORY_RANGE_SHARE),
+            cpuTimeScale: ranges.cpuTime ? yMax / ranges.cpuTime : 1,
+            playerScale: this.getRangeScale('playerCount', yMax, originalPlayerMax, PLAYER_RANGE_SHARE),
+            maxTPS,
+            originalMemoryMax,
+            originalCPUMax,
+            originalPlayerMax
+        };
+    }
 
-        if (playerData.length > 0) {
-            const maxPlayers = Math.max(...playerData.map(d => d.y));
-            // Scale player count to fit within yMax range (use about 40% of range)
-            playerScale = (yMax * 0.4) / maxPlayers;
-        }
+    // One scale for every run, so the largest of them fits
+    calculateOverlayScaling(runs, fallbackTpsMax) {
+        const infos = runs.map(run => this.calculateScaling(run.data, this.detectMetrics(run.data), fallbackTpsMax));
+        const { ranges } = this.theme;
+
+        const yMax = ranges.tps ?? Math.max(...infos.map(info => info.yMax));
+        const memoryMax = Math.max(...infos.map(info => info.originalMemoryMax || 0));
+        const playerMax = Math.max(...infos.map(info => info.originalPlayerMax || 0));
 
         return {
+            ...infos[ 0 ],
             yMax,
-            memoryScale,
-            cpuTimeScale,
-            playerScale,
-            maxTPS,
-            originalMemoryMax: memoryData.length > 0 ? Math.max(...memoryData.map(d => d.y)) : 0,
-            originalCPUMax: cpuData.length > 0 ? Math.max(...cpuData.map(d => d.y)) : 0,
-            originalPlayerMax: playerData.length > 0 ? Math.max(...playerData.map(d => d.y)) : 0
+            memoryScale: this.getRangeScale('memory', yMax, memoryMax, MEMORY_RANGE_SHARE),
+            cpuTimeScale: ranges.cpuTime ? yMax / ranges.cpuTime : 1,
+            playerScale: this.getRangeScale('playerCount', yMax, playerMax, PLAYER_RANGE_SHARE),
+            maxTPS: Math.max(...infos.map(info => info.maxTPS || 0)),
+            originalMemoryMax: memoryMax,
+            originalPlayerMax: playerMax
         };
     }
 
-    createDatasets(data, metrics, canvasHeight, scaleInfo) {
+    // A fixed range of the theme fills the whole TPS axis, otherwise the data max fills its share of it
+    getRangeScale(seriesId, yMax, dataMax, share) {
+        const range = this.theme.ranges[ seriesId ];
+        if (range) return yMax / range;
+        return dataMax > 0 ? (yMax * share) / dataMax : 1;
+    }
+
+    getSeriesAxis(series) {
+        return this.layout === 'stacked' ? `${PANEL_AXIS_PREFIX}${series.panel}` : series.axis;
+    }
+
+    // Replaces the shared y/y1 axes with one panel per axis used by the datasets, stacked on the same time axis
+    applyStackedLayout(chartConfig) {
+        const { scales, plugins } = chartConfig.options;
+        const panels = new Map();
+
+        chartConfig.data.datasets.forEach(dataset => {
+            const axisId = dataset.yAxisID;
+            if (!panels.has(axisId)) panels.set(axisId, []);
+            if (dataset.series && !dataset.band && !panels.get(axisId).includes(dataset.series))
+                panels.get(axisId).push(dataset.series);
+        });
+
+        delete scales.y;
+        delete scales.y1;
+
+        // Chart.js stacks from the bottom up, reversing keeps the configuration order from the top
+        [ ...panels.entries() ].reverse().forEach(([ axisId, panelSeries ]) => {
+            const units = [ ...new Set(panelSeries.map(series => series.unit).filter(Boolean)) ];
+            const text = panelSeries.length > 0 ? panelSeries.map(series => series.shortLabel).join(', ') : axisId;
+            const range = panelSeries.map(series => this.theme.ranges[ series.id ]).find(Boolean);
+
+            scales[ axisId ] = {
+                type: 'linear',
+                display: true,
+                position: 'left',
+                stack: 'panels',
+                stackWeight: 1,
+                offset: true,
+                beginAtZero: true,
+                ...(range ? { max: range } : {}),
+                title: {
+                    display: true,
+                    text: units.length > 0 ? `${text} (${units.join(', ')})` : text,
+                    color: panelSeries[ 0 ] ? this.getSeriesColor(panelSeries[ 0 ]) : this.theme.colors.text,
+                    font: { size: Math.round(this.fontUnit / 60) }
+                },
+                ticks: {
+                    color: this.theme.colors.text,
+                    maxTicksLimit: 6
+                },
+                grid: {
+                    color: this.theme.colors.grid
+                }
+            };
+        });
+
+        // The TPS marker and the hitches belong to the panel holding the TPS series
+        const tpsSeries = getSeriesById(this.metricConfig, 'tps');
+        const tpsAxis = tpsSeries && this.getSeriesAxis(tpsSeries);
+        const { annotations } = plugins.annotation;
+        Object.keys(annotations).filter(key => key === 'dynamicTpsLine' || key.startsWith('hitch')).forEach(key => {
+            if (tpsAxis && scales[ tpsAxis ]) annotations[ key ].yScaleID = tpsAxis;
+            else delete annotations[ key ];
+        });
+    }
+
+    createOverlayDatasets(runs, canvasHeight, scaleInfo) {
         const datasets = [];
         const borderWidth = Math.ceil(canvasHeight / 500);
 
+        runs.forEach((run, runIndex) => {
+            const metrics = this.detectMetrics(run.data);
+            const timePoints = run.data.getTimePoints();
+            const maxTime = timePoints[ timePoints.length - 1 ];
 
-        // Player Count Dataset (scaled)
-        if (metrics.playerCount) {
-            const maxTime = data.getTimePoints()[ data.getTimePoints().length - 1 ];
-            const playerData = data.getCounterDataExtended(metrics.playerCount, maxTime) || [];
-            if (playerData.length > 0) {
-                // Scale player count to fit TPS range
-                const scaledPlayerData = playerData.map(point => ({
-                    x: point.x,
-                    y: point.y * scaleInfo.playerScale
-                }));
+            this.metricConfig.series.forEach(series => {
+                if (!OVERLAY_SERIES.includes(series.id) || !metrics[ series.id ]) return;
 
-                datasets.push({
-                    label: 'Player Count',
-                    data: scaledPlayerData,
-                    borderColor: '#C6C',
-                    backgroundColor: '#9B59B622',
-                    borderWidth: borderWidth,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    fill: false,
-                    yAxisID: 'y',
-                    stepped: 'before'
-                });
-            }
-        }
-        // Memory Dataset (scaled)
-        if (metrics.memory) {
-            const memoryData = data.getCounterData(metrics.memory) || [];
-            if (memoryData.length > 0) {
-                // Scale memory data to fit TPS range
-                const scaledMemoryData = memoryData.map(point => ({
-                    x: point.x,
-                    y: point.y * scaleInfo.memoryScale
-                }));
+                const seriesData = this.getSeriesPoints(run.data, metrics[ series.id ], series, maxTime);
+                if (seriesData.length === 0) return;
 
+                const scale = this.getSeriesScale(series.id, scaleInfo);
                 datasets.push({
-                    label: 'Memory Usage (MB)',
-                    data: scaledMemoryData,
-                    borderColor: '#F36',
-                    backgroundColor: '#FF6B6B22',
+                    label: `${series.label} (${run.label})`,
+                    series,
+                    run: run.label,
+                    data: seriesData.map(point => ({ x: point.x - run.offset, y: point.y * scale })),
+                    borderColor: runIndex === 0 ? this.getSeriesColor(series) : withAlpha(this.getSeriesColor(series), 'CC'),
+                    backgroundColor: this.getSeriesBackground(series),
+                    borderDash: OVERLAY_DASHES[ runIndex % OVERLAY_DASHES.length ],
                     borderWidth: borderWidth,
                     pointRadius: 0,
                     pointHoverRadius: 4,
                     fill: false,
-                    yAxisID: 'y1',
-                    // stepped: 'before'
+                    yAxisID: this.getSeriesAxis(series),
+                    ...(series.stepped ? { stepped: 'before' } : {})
                 });
-            }
-        }
+            });
+        });
 
-        // TPS Dataset
-        if (metrics.tps) {
-            const maxTime = data.getTimePoints()[ data.getTimePoints().length - 1 ];
-            const tpsData = data.getCounterDataExtended(metrics.tps, maxTime) || [];
-            if (tpsData.length > 0) {
-                datasets.push({
-                    label: 'Tick Rate (TPS)',
-                    data: tpsData,
-                    borderColor: '#4ECDC4',
-                    backgroundColor: '#4ECDC422',
-                    borderWidth: borderWidth,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    fill: false,
-                    yAxisID: 'y',
-                    // stepped: 'before'
-                });
-            }
-        }
+        return datasets;
+    }
 
-        // CPU Perc Dataset (scaled)
-        if (metrics.cpuPerc) {
-            const maxTime = data.getTimePoints()[ data.getTimePoints().length - 1 ];
-            const cpuData = data.getCounterDataExtended(metrics.cpuPerc, maxTime) || [];
-            if (cpuData.length > 0) {
-                // Scale CPU data to fit TPS range
-                const scaledCPUData = cpuData.map(point => ({
-                    x: point.x,
-                    y: point.y * scaleInfo.cpuLoadScale
-                }));
+    createDatasets(data, metrics, canvasHeight, scaleInfo) {
+        const datasets = [];
+        const borderWidth = Math.ceil(canvasHeight / 500);
+        const maxTime = data.getTimePoints()[ data.getTimePoints().length - 1 ];
 
-                datasets.push({
-                    label: 'CPU Load (%)',
-                    data: scaledCPUData,
-                    borderColor: '#F92',
-                    backgroundColor: '#F7931E22',
-                    borderWidth: borderWidth,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    fill: false,
-                    yAxisID: 'y1',
-                    // stepped: 'before'
-                });
-            }
-        }
+        this.metricConfig.series.forEach(series => {
+            if (!series.chart || !metrics[ series.id ]) return;
 
-        // CPU Time Dataset (scaled)
-        if (metrics.cpuTime) {
-            const maxTime = data.getTimePoints()[ data.getTimePoints().length - 1 ];
-            const cpuData = data.getCounterDataExtended(metrics.cpuTime, maxTime) || [];
-            if (cpuData.length > 0) {
-                // Scale CPU data to fit TPS range
-                const scaledCPUData = cpuData.map(point => ({
-                    x: point.x,
-                    y: point.y * scaleInfo.cpuTimeScale
-                }));
+            const seriesData = this.getSeriesPoints(data, metrics[ series.id ], series, maxTime);
+            if (seriesData.length === 0) return;
 
-                datasets.push({
-                    label: 'CPU Time (ms)',
-                    data: scaledCPUData,
-                    borderColor: '#C60',
-                    backgroundColor: '#F7931E22',
-                    borderWidth: borderWidth,
+            // Scale the series to fit the TPS range
+            const scale = this.getSeriesScale(series.id, scaleInfo);
+            const scaledData = scale === 1 ? seriesData : seriesData.map(point => ({
+                x: point.x,
+                y: point.y * scale
+            }));
+
+            // Min/max band of bucketed series, drawn behind the mean line
+            if (series.band && data.isBucketedCounter(metrics[ series.id ])) {
+                // Each edge keeps its extremes when resampled
+                const bandDataset = (field) => ({
+                    label: `${series.label} ${field}`,
+                    band: true,
+                    data: data.query(metrics[ series.id ], { points: this.maxPoints, reducer: field, field })
+                        .map(point => ({ x: point.x, y: point.y * scale })),
+                    borderWidth: 0,
                     pointRadius: 0,
-                    pointHoverRadius: 4,
-                    fill: false,
-                    yAxisID: 'y1',
-                    // stepped: 'before'
+                    pointHoverRadius: 0,
+                    yAxisID: this.getSeriesAxis(series)
                 });
+
+                datasets.push({ ...bandDataset('max'), fill: '+1', backgroundColor: withAlpha(this.getSeriesColor(series), '33') });
+                datasets.push({ ...bandDataset('min'), fill: false });
             }
-        }
+
+            datasets.push({
+                label: series.label,
+                series,
+                data: scaledData,
+                borderColor: this.getSeriesColor(series),
+                backgroundColor: this.getSeriesBackground(series),
+                borderWidth: borderWidth,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                fill: false,
+                yAxisID: this.getSeriesAxis(series),
+                ...(series.stepped ? { stepped: 'before' } : {})
+            });
+        });
 
         // If no specific metrics found, show any available data
         if (datasets.length === 0) {
             console.log('⚠️  No standard metrics found, showing available data...');
             const allKeys = [ ...data.counters.keys() ];
-            const colors = [ '#FF6B6B', '#4ECDC4', '#F7931E', '#45B7D1', '#96CEB4' ];
+            const colors = this.theme.categories;
 
             allKeys.slice(0, 5).forEach((key, index) => {
-                const keyData = data.getCounterData(key) || [];
+                const keyData = data.query(key, { points: this.maxPoints, reducer: 'lttb' });
                 if (keyData.length > 0) {
                     datasets.push({
                         label: key,
                         data: keyData,
                         borderColor: colors[ index % colors.length ],
-                        backgroundColor: colors[ index % colors.length ] + '22',
+                        backgroundColor: withAlpha(colors[ index % colors.length ], '22'),
                         borderWidth: borderWidth,
                         pointRadius: 0,
                         pointHoverRadius: 3,
@@ -605,28 +632,32 @@ export default class ThreeMetricChartGenerator {
         return datasets;
     }
 
+    // Resampled to the chart resolution, and extended to the end of the run when the series asks for it
+    getSeriesPoints(data, key, series, maxTime) {
+        const points = data.query(key, { points: this.maxPoints, reducer: 'lttb' });
+        const last = points[ points.length - 1 ];
+        if (series.extend && last && last.x < +maxTime) points.push({ x: +maxTime, y: last.y });
+        return points;
+    }
+
+    getTpsValues(data, metrics) {
+        if (metrics.tps) return data.getSlice(metrics.tps).values;
+        if (!metrics.frameTime) return new Float64Array(0);
+        return data.getSlice(metrics.frameTime).values.map(frameTime => frameTime > 0 ? 1000 / frameTime : 0);
+    }
+
     calculateDynamicMarker(data, metrics) {
         // Get TPS data for samples 0 and 1
-        let tpsData = [];
-
-        if (metrics.tps) {
-            tpsData = data.getCounterData(metrics.tps) || [];
-        } else if (metrics.frameTime) {
-            const frameTimeData = data.getCounterData(metrics.frameTime) || [];
-            tpsData = frameTimeData.map(point => ({
-                x: point.x,
-                y: point.y > 0 ? 1000 / point.y : 0
-            }));
-        }
+        const tps = this.getTpsValues(data, metrics);
 
-        if (tpsData.length < 2) {
+        if (tps.length < 2) {
             // Fallback to 64 if not enough data
             return 64;
         }
 
         // Get samples 0 and 1 (first two data points)
-        const sample0 = tpsData[ 0 ] ? tpsData[ 0 ].y : 0;
-        const sample1 = tpsData[ 1 ] ? tpsData[ 1 ].y : 0;
+        const sample0 = tps[ 0 ];
+        const sample1 = tps[ 1 ];
 
         // Calculate average between samples 0 and 1
         const average = (sample0 + sample1) / 2;
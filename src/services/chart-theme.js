@@ -0,0 +1,152 @@
+import fs from 'fs';
+
+export const DEFAULT_THEME_PATH = new URL('../../config/theme.json', import.meta.url);
+
+const DARK_COLORS = {
+    background: '#18181a',
+    title: '#FFFFFF',
+    text: '#CCCCCC',
+    subtitle: '#AAAAAA',
+    grid: '#FFFFFF22',
+    marker: '#FFD700',
+    markerText: '#000000',
+    tooltipBackground: 'rgba(0, 0, 0, 0.8)',
+    tooltipText: '#FFFFFF',
+    event: '#FFFFFF66',
+    eventLabelBackground: 'rgba(24, 24, 26, 0.8)',
+    eventLabel: '#DDDDDD',
+    hitch: '#FF3333',
+    signature: '#777777',
+    watermark: '#FFFFFF14',
+};
+
+// `colors` of the chart, `palette` overrides the series colours of the metric configuration by id,
+// `categories` colours the breakdown categories and the runs of the distribution chart
+export const THEME_PRESETS = {
+    dark: {
+        colors: DARK_COLORS,
+        palette: {},
+        categories: [ '#4ECDC4', '#F36', '#F92', '#C6C', '#45B7D1', '#96CEB4', '#FFD700', '#C60', '#6C5CE7', '#E17055' ],
+    },
+    light: {
+        colors: {
+            ...DARK_COLORS,
+            background: '#FFFFFF',
+            title: '#18181A',
+            text: '#333333',
+            subtitle: '#666666',
+            grid: '#0000001A',
+            marker: '#B8860B',
+            markerText: '#FFFFFF',
+            tooltipBackground: 'rgba(255, 255, 255, 0.95)',
+            tooltipText: '#18181A',
+            event: '#00000066',
+            eventLabelBackground: 'rgba(255, 255, 255, 0.85)',
+            eventLabel: '#333333',
+            hitch: '#D62828',
+            signature: '#999999',
+            watermark: '#00000010',
+        },
+        palette: {
+            tps: '#0F9D94',
+            memory: '#E0245E',
+            playerCount: '#9B3FB5',
+            cpuTime: '#B35900',
+            cpuPerc: '#D97706',
+        },
+        categories: [ '#0F9D94', '#E0245E', '#D97706', '#9B3FB5', '#1E88C7', '#4E9F6E', '#B8860B', '#B35900', '#5A4BD1', '#C0504D' ],
+    },
+};
+
+export const THEME_PRESET_NAMES = Object.keys(THEME_PRESETS);
+
+const COLOR_OVERRIDE_KEYS = [ 'colors', 'palette' ];
+
+let defaultTheme = null;
+
+export function getDefaultChartTheme() {
+    if (!defaultTheme) defaultTheme = normalizeChartTheme(JSON.parse(fs.readFileSync(DEFAULT_THEME_PATH, 'utf8')));
+    return defaultTheme;
+}
+
+/**
+ * Loads the chart theme, CLI values take precedence over the file.
+ * @param {string} [theme] preset name or theme file, defaults to config/theme.json
+ * @param {{fontScale?: number|string, signature?: string|false, watermark?: string, ranges?: object}} [overrides]
+ */
+export function loadChartTheme(theme, overrides = {}) {
+    let config;
+    if (!theme || THEME_PRESET_NAMES.includes(theme)) {
+        config = JSON.parse(fs.readFileSync(DEFAULT_THEME_PATH, 'utf8'));
+        if (theme) config.preset = theme;
+    } else {
+        if (!fs.existsSync(theme)) throw new Error(`Theme not found: "${theme}", expected a theme file or one of: ${THEME_PRESET_NAMES.join(', ')}`);
+        config = JSON.parse(fs.readFileSync(theme, 'utf8'));
+    }
+
+    Object.entries(overrides).forEach(([ key, value ]) => {
+        if (value === undefined) return;
+        config[ key ] = key === 'ranges' ? { ...config.ranges, ...value } : value;
+    });
+
+    return normalizeChartTheme(config);
+}
+
+/**
+ * Fills a theme in from its preset and validates it.
+ * @param {object} theme
+ */
+export function normalizeChartTheme(theme = {}) {
+    const presetName = theme.preset || 'dark';
+    const preset = THEME_PRESETS[ presetName ];
+    if (!preset) throw new Error(`Unknown theme preset "${presetName}", expected one of: ${THEME_PRESET_NAMES.join(', ')}`);
+
+    COLOR_OVERRIDE_KEYS.forEach(key => {
+        if (theme[ key ] !== undefined && (typeof theme[ key ] !== 'object' || Array.isArray(theme[ key ])))
+            throw new Error(`Theme "${key}" must map names to colours`);
+    });
+
+    const categories = theme.categories ?? preset.categories;
+    if (!Array.isArray(categories) || categories.length === 0) throw new Error('Theme "categories" must be a non-empty list of colours');
+
+    const fontScale = Number(theme.fontScale ?? 1);
+    if (!(fontScale > 0)) throw new Error(`Invalid theme fontScale "${theme.fontScale}", expected a positive number`);
+
+    const signature = theme.signature ?? 'Made with ♥ by JetDave';
+    const watermark = theme.watermark ?? null;
+    if (signature !== false && typeof signature !== 'string') throw new Error('Theme "signature" must be a text or false');
+    if (watermark !== null && typeof watermark !== 'string') throw new Error('Theme "watermark" must be a text or null');
+
+    return {
+        preset: presetName,
+        colors: { ...preset.colors, ...theme.colors },
+        palette: { ...preset.palette, ...theme.palette },
+        categories,
+        fontScale,
+        signature,
+        watermark,
+        ranges: normalizeRanges(theme.ranges),
+    };
+}
+
+// Fixed axis maximum per series id, "auto" (or no entry) scales to the data
+function normalizeRanges(ranges = {}) {
+    const result = {};
+    Object.entries(ranges).forEach(([ id, value ]) => {
+        if (value === 'auto' || value === null) return;
+
+        const max = Number(value);
+        if (!(max > 0)) throw new Error(`Invalid range "${id}=${value}", expected a positive number or "auto"`);
+        result[ id ] = max;
+    });
+    return result;
+}
+
+// "tps=75,memory=8192,playerCount=auto" -> { tps: '75', memory: '8192', playerCount: 'auto' }
+export function parseRanges(value) {
+    return Object.fromEntries(String(value).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^(\w+)=(.+)$/);
+        if (!match) throw new Error(`Invalid range "${entry}", expected <series id>=<max|auto>`);
+        return [ match[ 1 ], match[ 2 ].trim() ];
+    }));
+}
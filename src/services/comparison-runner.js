@@ -0,0 +1,268 @@
+import fs from 'fs';
+import path from 'path';
+import { MultiStatsComparer, numToStringSymbol } from '../../scripts/stats-comparer.js';
+import { PHASE_NAMES } from './match-phases.js';
+import { STATS_SUFFIX, getStatsPhase } from './profile-files.js';
+
+export const DEFAULT_COMPARISON_CONFIG_PATH = new URL('../../config/comparison.json', import.meta.url);
+
+const SIGNIFICANCE_DEFAULTS = {
+    alpha: 0.01,
+    minEffectSize: 0.147,
+    hideNoise: false,
+};
+
+// Without a phase the whole captures are compared
+const PHASE_DEFAULT = null;
+
+/**
+ * Loads the grouping and baseline rules, CLI values take precedence over the file.
+ * @param {string} [configPath] defaults to config/comparison.json
+ * @param {{groupBy?: string, baseline?: string, phase?: string, significance?: object}} [overrides]
+ */
+export function loadComparisonConfig(configPath, overrides = {}) {
+    const file = configPath || DEFAULT_COMPARISON_CONFIG_PATH;
+    if (configPath && !fs.existsSync(configPath)) throw new Error(`Comparison config not found: ${configPath}`);
+
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(overrides).forEach(([ key, value ]) => {
+        if (value === undefined) return;
+        config[ key ] = key === 'significance' ? { ...config.significance, ...value } : value;
+    });
+    config.significance = normalizeSignificance(config.significance);
+    config.phase = normalizePhase(config.phase);
+
+    // Fail early on malformed rules instead of on the first stats file
+    parseRule(config.groupBy, 'groupBy');
+    parseRule(config.baseline, 'baseline');
+
+    return config;
+}
+
+function normalizePhase(phase = PHASE_DEFAULT) {
+    if (phase !== null && !PHASE_NAMES.includes(phase)) throw new Error(`Invalid phase "${phase}", expected one of: ${PHASE_NAMES.join(', ')}`);
+    return phase;
+}
+
+function normalizeSignificance(significance = {}) {
+    const result = { ...SIGNIFICANCE_DEFAULTS };
+    Object.entries(significance).forEach(([ key, value ]) => {
+        if (value !== undefined) result[ key ] = value;
+    });
+
+    result.alpha = Number(result.alpha);
+    result.minEffectSize = Number(result.minEffectSize);
+    if (!(result.alpha > 0 && result.alpha < 1)) throw new Error(`Invalid significance alpha "${significance.alpha}", expected a number between 0 and 1`);
+    if (!(result.minEffectSize >= 0 && result.minEffectSize <= 1)) throw new Error(`Invalid significance minEffectSize "${significance.minEffectSize}", expected a number between 0 and 1`);
+    result.hideNoise = Boolean(result.hideNoise);
+
+    return result;
+}
+
+/**
+ * Rules are written as "<kind>" or "<kind>:<argument>":
+ *   groupBy:  map | dir | filename:<regex> | metadata:<field>
+ *   baseline: dir:<text> | filename:<regex> | metadata:<field>=<text>
+ */
+function parseRule(rule, name) {
+    const match = String(rule || '').match(/^(\w+)(?::(.*))?$/);
+    if (!match) throw new Error(`Invalid ${name} rule "${rule}"`);
+
+    const [ , kind, argument = '' ] = match;
+    const kinds = name === 'groupBy' ? [ 'map', 'dir', 'filename', 'metadata' ] : [ 'dir', 'filename', 'metadata' ];
+    if (!kinds.includes(kind)) throw new Error(`Invalid ${name} rule "${rule}", expected one of: ${kinds.join(', ')}`);
+    if (kind !== 'map' && kind !== 'dir' && !argument) throw new Error(`The ${name} rule "${kind}" needs an argument, e.g. "${kind}:..."`);
+    if (name === 'baseline' && kind === 'dir' && !argument) throw new Error('The baseline rule "dir" needs an argument, e.g. "dir:UE4"');
+    if (kind === 'filename') {
+        try {
+            new RegExp(argument);
+        } catch (error) {
+            throw new Error(`Invalid ${name} regex: ${error.message}`);
+        }
+    }
+
+    return { kind, argument };
+}
+
+function getMetadataField(stats, field) {
+    const metadata = stats.metadata || {};
+    return metadata[ field ] ?? metadata.raw?.[ field.toLowerCase() ];
+}
+
+function getGroupKey(rule, file, stats) {
+    switch (rule.kind) {
+        case 'map':
+            return path.basename(file).split('_')[ 0 ];
+        case 'dir':
+            return path.dirname(file);
+        case 'filename': {
+            const match = path.basename(file).match(new RegExp(rule.argument));
+            return match ? (match[ 1 ] ?? match[ 0 ]) : null;
+        }
+        case 'metadata':
+            return getMetadataField(stats, rule.argument) ?? null;
+    }
+}
+
+// Names the reports and charts of a group are written under
+function toFileName(name) {
+    return String(name).replace(/[^\w.-]+/g, '_');
+}
+
+// Group names that only differ by the characters toFileName replaces, or by case, get a numbered suffix
+function assignFileNames(groups) {
+    // The report index is written next to the group reports
+    const used = new Set([ 'index' ]);
+    groups.forEach(group => {
+        const base = toFileName(group.name);
+        let fileName = base;
+        for (let i = 2; used.has(fileName.toLowerCase()); i++) fileName = `${base}_${i}`;
+        if (fileName !== base) console.warn(`⚠️  ${group.name}: ${base} is already used by another group, writing its files as ${fileName}`);
+
+        used.add(fileName.toLowerCase());
+        group.fileName = fileName;
+    });
+}
+
+function isBaseline(rule, file, stats) {
+    switch (rule.kind) {
+        case 'dir':
+            return path.dirname(file).toUpperCase().includes(rule.argument.toUpperCase());
+        case 'filename':
+            return new RegExp(rule.argument).test(path.basename(file));
+        case 'metadata': {
+            const [ field, expected = '' ] = rule.argument.split('=');
+            const value = getMetadataField(stats, field);
+            return value !== undefined && value !== null && String(value).toUpperCase().includes(expected.toUpperCase());
+        }
+    }
+}
+
+/**
+ * Groups the stats JSON files in outputDir and compares, within each group,
+ * the baseline run against every other run.
+ * A group without a run matching the baseline rule is not compared. When several runs match,
+ * the first one in file name order is the baseline and the others are compared as candidates.
+ * Every group gets a distinct `fileName` to write its reports and charts under.
+ * @param {string} outputDir
+ * @param {{groupBy: string, baseline: string, phase?: string|null, significance?: object}} [config] see loadComparisonConfig
+ * @returns {Object<string, object>} comparison groups keyed by group name
+ */
+export function compareOutputStats(outputDir = './output', config = loadComparisonConfig()) {
+    if (!fs.existsSync(outputDir)) throw new Error(`Output directory not found: ${outputDir}`);
+
+    const groupRule = parseRule(config.groupBy, 'groupBy');
+    const baselineRule = parseRule(config.baseline, 'baseline');
+    const significance = normalizeSignificance(config.significance);
+    const phase = normalizePhase(config.phase);
+
+    // Only the stats of the selected phase, written with --phases, are compared together
+    const compFiles = fs.readdirSync(outputDir, { recursive: true })
+        .map(f => f.split(path.sep).join('/'))
+        .filter(f => f.endsWith(STATS_SUFFIX) && getStatsPhase(f) === phase)
+        .sort();
+
+    const groups = compFiles.reduce((acc, cur) => {
+        const stats = JSON.parse(fs.readFileSync(path.join(outputDir, cur), 'utf8'));
+        const groupName = getGroupKey(groupRule, cur, stats);
+        if (groupName === null || groupName === undefined) return acc;
+
+        if (!acc[ groupName ])
+            acc[ groupName ] = {
+                name: String(groupName),
+                fileName: null,
+                baseline: null,
+                candidates: [],
+                comparisonOutput: null,
+                mdSummary: ''
+            };
+
+        const run = { name: cur, stats };
+        if (!acc[ groupName ].baseline && isBaseline(baselineRule, cur, stats)) {
+            acc[ groupName ].baseline = run;
+        } else {
+            if (isBaseline(baselineRule, cur, stats))
+                console.warn(`⚠️  ${groupName}: ${cur} also matches the baseline rule, comparing it as a candidate`);
+            acc[ groupName ].candidates.push(run);
+        }
+
+        return acc;
+    }, {});
+
+    assignFileNames(Object.values(groups));
+
+    Object.values(groups).forEach(group => {
+        if (!group.baseline) {
+            console.warn(`⚠️  ${group.name}: no run matches the baseline rule "${config.baseline}", the group is not compared`);
+            return;
+        }
+        if (group.candidates.length === 0) return;
+
+        group.significance = significance;
+        group.phase = phase;
+        group.comparisonOutput = MultiStatsComparer(group.baseline.stats, group.candidates.map(c => c.stats), significance);
+        group.mdSummary = buildMarkdownSummary(group);
+    });
+
+    return groups;
+}
+
+function formatValue(value) {
+    return Math.abs(value) >= 1 || value === 0 ? value.toFixed(2) : value.toPrecision(3);
+}
+
+function escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|');
+}
+
+// Stats JSON written before the distributions were kept have no test result, they are never noise
+export function isWithinNoise(candidate) {
+    return candidate?.significance ? !candidate.significance.significant : false;
+}
+
+export function describeSignificance(significance) {
+    return `Differences are tested on the per-frame distributions (Mann-Whitney U, α=${significance.alpha}), ` +
+        `changes with p ≥ α or a negligible effect size (|Cliff's δ| < ${significance.minEffectSize}) are within noise.`;
+}
+
+export function sortComparisonRows(comparisonOutput, { hideNoise = false } = {}) {
+    return Object.entries(comparisonOutput).filter(([ , row ]) => {
+        return !hideNoise || row.candidates.some(c => c && !isWithinNoise(c));
+    }).sort((a, b) => {
+        const aIsGameThread = a[ 0 ].startsWith('Exclusive/GameThread');
+        const bIsGameThread = b[ 0 ].startsWith('Exclusive/GameThread');
+
+        if (aIsGameThread && !bIsGameThread) return -1;
+        if (!aIsGameThread && bIsGameThread) return 1;
+
+        // Order by the first candidate that has the column
+        const aVariation = a[ 1 ].candidates.find(Boolean)?.variationPerc ?? 0;
+        const bVariation = b[ 1 ].candidates.find(Boolean)?.variationPerc ?? 0;
+        return bVariation - aVariation;
+    });
+}
+
+function buildMarkdownSummary(group) {
+    let mdSummary = `# ${group.name}\n**Baseline:** ${group.baseline.name}\n`;
+    mdSummary += group.candidates.map((c, i) => `**Candidate ${i + 1}:** ${c.name}`).join('\n') + '\n';
+    if (group.phase) mdSummary += `**Phase:** ${group.phase}\n`;
+    mdSummary += '\n';
+    mdSummary += `The values of "Exclusive/GameThread" reflect the processing duration (in milliseconds) for each task.\n_The following stats are based on averages._\n`;
+    mdSummary += `_${describeSignificance(group.significance)} Noise is shown as \`~value (change)\`${group.significance.hideNoise ? ', stats without any significant change are hidden' : ''}._\n\n`;
+
+    mdSummary += `| Stat | Baseline | ${group.candidates.map((_c, i) => `Candidate ${i + 1}`).join(' | ')} |\n`;
+    mdSummary += `|---|---:|${group.candidates.map(() => '---:').join('|')}|\n`;
+    mdSummary += sortComparisonRows(group.comparisonOutput, group.significance)
+        .map(([ key, row ]) => {
+            const cells = row.candidates.map(c => {
+                if (!c) return '-';
+                return isWithinNoise(c)
+                    ? `~${formatValue(c.value)} (${numToStringSymbol(c.variationPerc)}%)`
+                    : `${formatValue(c.value)} (**${numToStringSymbol(c.variationPerc)}%**)`;
+            });
+            return `| ${escapeCell(key)} | ${formatValue(row.baseline)} | ${cells.join(' | ')} |`;
+        })
+        .join('\n');
+
+    return mdSummary;
+}
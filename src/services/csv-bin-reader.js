@@ -0,0 +1,183 @@
+import fs from 'fs';
+import zlib from 'zlib';
+
+const MAGIC = 'CSVPROFILERBIN';
+const MAX_SUPPORTED_VERSION = 5;
+const VERSION_COMPRESSION_AND_FLAGS = 5;
+
+const FILE_FLAG_COMPRESSED = 0x1;
+const STAT_FLAG_INTEGER = 0x1;
+
+/**
+ * Reader for the binary captures written by Unreal's CSV profiler (`-csvBinary`, `*.csv.bin`).
+ *
+ * Layout (little endian, strings are 7-bit length prefixed UTF-8):
+ *   string magic ("CSVPROFILERBIN"), int32 version, uint32 flags (version >= 5)
+ *   bool hasMetadata, [int32 count, (string key, string value) * count]
+ *   int32 statCount, string name * statCount
+ *   int32 rowCount
+ *   int32 eventCount, (int32 row, string text) * eventCount
+ *   per stat: uint32 statFlags, int32 sampleCount,
+ *             [uint8 presenceMask * ceil(rowCount / 8)] when sampleCount < rowCount,
+ *             [int32 compressedSize] when the file is compressed (deflate),
+ *             (int32 | float32) * sampleCount
+ *
+ * The capture is stored column by column, so the whole file is read and every column decoded
+ * (inflated when compressed) before the rows can be rebuilt and fed to the same processor as the text format.
+ */
+export default class CsvBinReader {
+    #buffer
+    #offset = 0
+
+    constructor(buffer) {
+        this.#buffer = buffer;
+    }
+
+    static fromFile(filePath) {
+        return new CsvBinReader(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Parses the capture once and replays every row into each of the processors.
+     * @param {...import('../../scripts/multi-file-chart.js').CsvProfileProcessor} processors
+     * @returns {import('../../scripts/multi-file-chart.js').CsvProfileProcessor[]}
+     */
+    feed(...processors) {
+        const capture = this.read();
+
+        const headers = [ ...capture.statNames ];
+        const hasEvents = capture.events.length > 0;
+        if (hasEvents) headers.push('EVENTS');
+
+        processors.forEach(processor => processor.processHeaders(headers));
+
+        const eventsByRow = new Map();
+        capture.events.forEach(({ row, text }) => {
+            eventsByRow.set(row, eventsByRow.has(row) ? `${eventsByRow.get(row)};${text}` : text);
+        });
+
+        const cursors = capture.columns.map(column => this.#createColumnCursor(column));
+        const values = new Array(headers.length);
+        for (let row = 0; row < capture.rowCount; row++) {
+            cursors.forEach((cursor, statIndex) => {
+                values[ statIndex ] = cursor(row);
+            });
+            if (hasEvents) values[ headers.length - 1 ] = eventsByRow.get(row) || '';
+            processors.forEach(processor => processor.processValues(values));
+        }
+
+        if (capture.metadata) processors.forEach(processor => {
+            processor.metadata = processor.normalizeMetadata(capture.metadata);
+        });
+
+        return processors;
+    }
+
+    read() {
+        this.#offset = 0;
+
+        const magic = this.#readString();
+        if (magic !== MAGIC) throw new Error('Not a binary CSV profiler capture');
+
+        const version = this.#readInt32();
+        if (version < 1 || version > MAX_SUPPORTED_VERSION)
+            throw new Error(`Unsupported binary CSV version ${version}`);
+
+        const flags = version >= VERSION_COMPRESSION_AND_FLAGS ? this.#readUInt32() : 0;
+        const compressed = Boolean(flags & FILE_FLAG_COMPRESSED);
+
+        let metadata = null;
+        if (this.#readBoolean()) {
+            metadata = {};
+            const metadataCount = this.#readInt32();
+            for (let i = 0; i < metadataCount; i++) {
+                const key = this.#readString();
+                metadata[ key ] = this.#readString();
+            }
+        }
+
+        const statCount = this.#readInt32();
+        const statNames = [];
+        for (let i = 0; i < statCount; i++) statNames.push(this.#readString());
+
+        const rowCount = this.#readInt32();
+
+        const eventCount = this.#readInt32();
+        const events = [];
+        for (let i = 0; i < eventCount; i++) {
+            const row = this.#readInt32();
+            events.push({ row, text: this.#readString() });
+        }
+
+        const columns = statNames.map(() => this.#readColumn(rowCount, compressed));
+
+        return { version, metadata, statNames, rowCount, events, columns };
+    }
+
+    #readColumn(rowCount, compressed) {
+        const statFlags = this.#readUInt32();
+        const sampleCount = this.#readInt32();
+
+        let presenceMask = null;
+        if (sampleCount < rowCount) {
+            presenceMask = this.#readBytes(Math.ceil(rowCount / 8));
+        }
+
+        const byteLength = sampleCount * 4;
+        const payload = compressed
+            ? zlib.inflateSync(this.#readBytes(this.#readInt32()))
+            : this.#readBytes(byteLength);
+
+        if (payload.length !== byteLength) throw new Error('Corrupted binary CSV column');
+
+        return {
+            isInteger: Boolean(statFlags & STAT_FLAG_INTEGER),
+            presenceMask,
+            payload
+        };
+    }
+
+    // Samples are read from the decoded bytes row by row rather than converted to an array of numbers per column
+    #createColumnCursor(column) {
+        let sample = 0;
+        return (row) => {
+            // Rows missing from the mask had no sample recorded, the text format writes 0 for them
+            if (column.presenceMask && !(column.presenceMask[ row >> 3 ] & (1 << (row & 7)))) return 0;
+            const offset = sample++ * 4;
+            return column.isInteger ? column.payload.readInt32LE(offset) : column.payload.readFloatLE(offset);
+        };
+    }
+
+    #readBytes(length) {
+        if (this.#offset + length > this.#buffer.length) throw new Error('Unexpected end of binary CSV file');
+        const bytes = this.#buffer.subarray(this.#offset, this.#offset + length);
+        this.#offset += length;
+        return bytes;
+    }
+
+    #readInt32() {
+        return this.#readBytes(4).readInt32LE(0);
+    }
+
+    #readUInt32() {
+        return this.#readBytes(4).readUInt32LE(0);
+    }
+
+    #readBoolean() {
+        return this.#readBytes(1)[ 0 ] !== 0;
+    }
+
+    #readString() {
+        // .NET style 7-bit encoded length
+        let length = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.#readBytes(1)[ 0 ];
+            length |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+
+        return this.#readBytes(length).toString('utf8');
+    }
+}
@@ -1,35 +1,59 @@
 // @ts-check
-import { Heap } from 'heap-js';
+import RollingWindow from './rolling-window.js';
+import { compileExpression } from './expression.js';
+import { resample } from './resample.js';
+import { findSortedIndex } from './sorted-array.js';
 
-const RESET_FREQUENCY_SECONDS_DEFAULT = 1;
 const INITIAL_CAPACITY = 100000;
+const BUCKET_MS_DEFAULT = 5000;
+const BUCKET_PERCENTILE_DEFAULT = 95;
+const BUCKET_INITIAL_CAPACITY = 1024;
+const BUCKET_FIELDS = [ 'times', 'min', 'max', 'mean', 'percentile', 'count' ];
+// Bumped whenever the layout written by serialize() changes
+const SERIALIZATION_VERSION = 4;
+// "p95" -> 95, see getRollingSeries
+const PERCENTILE_STAT_REGEX = /^p(\d+(?:\.\d+)?)$/;
+// Rate counters count per second of match time by default
+const RATE_WINDOW_MS_DEFAULT = 1000;
 
 /**
- * @typedef {Object} setNewFrequencyCounterValueData
- * @property {string[]} keys
- * @property {number} value
- * @property {object} [time]
- * @property {boolean} skipDuplication
- * @property {string} [label]
+ * @typedef {Object} DataStoreOptions
+ * @property {number} [bucketMs] wall-clock size of the aggregation buckets
+ * @property {number} [bucketPercentile] percentile stored for every bucket (0-100)
  */
 export default class DataStore {
-    #resetFrequencySeconds
+    #bucketMs
+    #bucketPercentile
 
-    constructor(resetFrequencySeconds = RESET_FREQUENCY_SECONDS_DEFAULT) {
-        this.#resetFrequencySeconds = resetFrequencySeconds
-        this.timePoints = [];
+    /**
+     * @param {DataStoreOptions} [options]
+     */
+    constructor(options = {}) {
+        this.#bucketMs = options.bucketMs || BUCKET_MS_DEFAULT
+        this.#bucketPercentile = options.bucketPercentile ?? BUCKET_PERCENTILE_DEFAULT
+        // Match time (ms) of every frame, 8 bytes each
+        this.timePoints = new Float64Array(INITIAL_CAPACITY);
+        this.timePointCount = 0;
         this.counters = new Map();
         this.vars = new Map();
         this.infiniteMaps = new Map();
 
         // Optimized storage for numerical data
         this.numericalCounters = new Map();
-        this.heaps = new Map();
         this.rateCounters = new Map();
+        this.bucketedCounters = new Map();
+        // Running min, max, sum and sum of squares of every numerical and bucketed counter
+        this.aggregates = new Map();
+        // Counters computed from other counters when read, see defineDerivedCounter
+        this.derivedCounters = new Map();
     }
 
-    get resetFrequencySeconds() {
-        return this.#resetFrequencySeconds
+    get bucketMs() {
+        return this.#bucketMs
+    }
+
+    get bucketPercentile() {
+        return this.#bucketPercentile
     }
 
     incrementCounter(key, incrementer, time = null) {
@@ -38,82 +62,6 @@ export default class DataStore {
         return this.setNewCounterValue(key, value, undefined, time)
     }
 
-    incrementCounterLast(...keyVal) { // last element is incrementer
-        const incrementer = keyVal.pop();
-        const keys = keyVal;
-        let counter;
-        if (keys.length > 1)
-            counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        else
-            counter = this.counters.get(keys[ 0 ])
-        counter[ counter.length - 1 ].y += incrementer;
-        return counter[ counter.length - 1 ].y + incrementer;
-    }
-
-    incrementFrequencyCounter(...keyVal) { // last element is incrementer, optional second-to-last is time
-        const incrementer = keyVal.pop();
-        const time = typeof keyVal[ keyVal.length - 1 ] === 'object' && keyVal[ keyVal.length - 1 ] instanceof Date ? keyVal.pop() : null;
-        const keys = keyVal;
-        const timeNow = time || this.getLastTimePoint();
-        let counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        if (!counter || +timeNow - +counter[ counter.length - 1 ].x > this.#resetFrequencySeconds * 1000)
-            this.resetFrequencyCounter(...keys, timeNow)
-
-        counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        return this.incrementCounterLast(...keys, incrementer)
-
-        // this.incrementCounter(key, incrementer, null, true)
-    }
-
-    getLatestFrequencyCounterValue(...keyVal) {
-        const keys = keyVal;
-        let counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        if (!counter) return;
-        return counter[ counter.length - 1 ]
-    }
-
-    getFrequencyCounterValues(...keyVal) {
-        const keys = keyVal;
-        let counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        if (!counter) return;
-        return counter
-    }
-
-    clearFrequencyCounter(...keyVal) { // last element is incrementer
-        const keys = keyVal;
-        const timeNow = this.getLastTimePoint();
-        let counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        counter = null;
-    }
-
-    resetFrequencyCounter(...args) {
-        const timeNow = args.length > 1 && args[ args.length - 1 ] instanceof Date ? args.pop() : this.getLastTimePoint();
-        const keys = args;
-        const counter = this.#getInfiniteMapValue(this.counters, ...keys);
-        if (counter?.length > 0) {
-            this.setNewFrequencyCounterValue({ keys: keys, value: 0, time: counter[ counter.length - 1 ].x, skipDuplication: true })
-        }
-
-        this.setNewFrequencyCounterValue({ keys: keys, value: 0, time: timeNow, skipDuplication: false })
-    }
-
-    /**
-     * @param {setNewFrequencyCounterValueData} data 
-     */
-    setNewFrequencyCounterValue(data) {
-        let time = data.time;
-        const keys = data.keys;
-        const value = data.value;
-        const skipDuplication = data.skipDuplication;
-        const label = data.label;
-
-        let oldCounter = this.#getInfiniteMapValue(this.counters, ...keys)
-        if (!oldCounter)
-            this.#setInfiniteMapValue(this.counters, ...keys, []);
-        oldCounter = this.#getInfiniteMapValue(this.counters, ...keys)
-        return this.#setNewCounterValue(oldCounter, value, label, time, skipDuplication)
-    }
-
     /**
      * 
      * @param {string} key 
@@ -144,10 +92,6 @@ export default class DataStore {
                 count: 0,
                 capacity: INITIAL_CAPACITY
             });
-
-            // Create heaps for min/max operations
-            this.heaps.set(key + '_min', new Heap((a, b) => a - b));
-            this.heaps.set(key + '_max', new Heap((a, b) => b - a));
         }
 
         const counter = this.numericalCounters.get(key);
@@ -177,14 +121,20 @@ export default class DataStore {
         counter.times[ counter.count ] = timeValue;
         counter.values[ counter.count ] = value;
         counter.count++;
-
-        // Update heaps
-        this.heaps.get(key + '_min').push(value);
-        this.heaps.get(key + '_max').push(value);
+        this.#addToAggregate(key, value);
 
         return { x: timeValue, y: value };
     }
 
+    #addToAggregate(key, value) {
+        let aggregate = this.aggregates.get(key);
+        if (!aggregate) {
+            aggregate = createAggregate();
+            this.aggregates.set(key, aggregate);
+        }
+        addToAggregate(aggregate, value);
+    }
+
     /**
      * 
      * @param {*[]} oldCounter 
@@ -227,35 +177,50 @@ export default class DataStore {
     }
 
     addTimePoint(time) {
-        const obj = {
-            time: time,
-            // formatted: time.toLocaleString()
+        const timeValue = +time;
+        if (this.timePointCount > 0 && this.timePoints[ this.timePointCount - 1 ] === timeValue) return time;
+
+        if (this.timePointCount >= this.timePoints.length) {
+            const grown = new Float64Array(this.timePoints.length * 2);
+            grown.set(this.timePoints);
+            this.timePoints = grown;
         }
-        if (this.timePoints[ this.timePoints.length - 1 ] != obj.time)
-            this.timePoints.push(time);
+        this.timePoints[ this.timePointCount++ ] = timeValue;
         return time;
     }
 
     getLastTimePoint() {
-        return this.timePoints[ this.timePoints.length - 1 ];
+        return this.timePointCount > 0 ? this.timePoints[ this.timePointCount - 1 ] : undefined;
     }
     getPreLastTimePoint() {
-        return this.timePoints[ this.timePoints.length - 2 ];
+        return this.timePointCount > 1 ? this.timePoints[ this.timePointCount - 2 ] : undefined;
     }
 
+    /**
+     * @returns {Float64Array} match time (ms) of every frame, a view of the stored column
+     */
     getTimePoints() {
-        return this.timePoints;
+        return this.timePoints.subarray(0, this.timePointCount);
     }
 
     getCounterData(...keys) {
         if (keys.length == 1) {
             const key = keys[ 0 ];
 
+            if (this.derivedCounters.has(key)) {
+                const { times, values } = this.#getColumns(key);
+                return Array.from(times, (time, i) => ({ x: time, y: values[ i ] }));
+            }
+
             // Check rate counters first
             if (this.rateCounters.has(key)) {
                 return this.getRateCounterData(key);
             }
 
+            if (this.bucketedCounters.has(key)) {
+                return this.getBucketedSeries(key);
+            }
+
             // Check optimized storage
             if (this.numericalCounters.has(key)) {
                 const counter = this.numericalCounters.get(key);
@@ -275,6 +240,135 @@ export default class DataStore {
         }
     }
 
+    // Times and values of a counter, views of the stored arrays for numerical and bucketed counters
+    #getColumns(key, field = 'mean') {
+        if (this.derivedCounters.has(key)) return this.#getDerivedColumns(key);
+
+        const numerical = this.numericalCounters.get(key);
+        if (numerical) return { times: numerical.times.subarray(0, numerical.count), values: numerical.values.subarray(0, numerical.count) };
+
+        const bucketed = this.bucketedCounters.get(key);
+        if (bucketed) {
+            if (!BUCKET_FIELDS.includes(field) || field === 'times') throw new Error(`Unknown bucket field "${field}", expected one of: ${BUCKET_FIELDS.slice(1).join(', ')}`);
+            const times = bucketed.times.subarray(0, bucketed.size);
+            const values = bucketed[ field ].subarray(0, bucketed.size);
+            if (!bucketed.current) return { times, values };
+
+            // The bucket still being filled is summarized on the fly
+            const current = this.#summarizeBucket(bucketed.current);
+            const withCurrent = (column, value) => {
+                const extended = new Float64Array(column.length + 1);
+                extended.set(column);
+                extended[ column.length ] = value;
+                return extended;
+            };
+            return { times: withCurrent(times, current.times), values: withCurrent(values, current[ field ]) };
+        }
+
+        const data = this.getCounterData(key) || [];
+        return { times: Float64Array.from(data, point => +point.x), values: Float64Array.from(data, point => point.y) };
+    }
+
+    /**
+     * Defines a counter computed from other counters when it is read, instead of stored.
+     * The expression is evaluated once per bucket of the store: every input is the mean of its points
+     * in the bucket, or its last value before the bucket when it has none (e.g. a deduplicated counter).
+     * Buckets where an input has no value yet, or where the result is not finite, are left out.
+     * @param {string} key
+     * @param {{source: string, identifiers: string[], evaluate: function}} expression compiled, see expression.js
+     * @param {Object<string, string>} [inputs] counter read for an identifier, the identifier itself by default
+     */
+    defineDerivedCounter(key, expression, inputs = {}) {
+        if (this.derivedCounters.has(key)) throw new Error(`Derived counter "${key}" is already defined`);
+        this.derivedCounters.set(key, {
+            expression,
+            inputs: Object.fromEntries(expression.identifiers.map(name => [ name, inputs[ name ] ?? name ]))
+        });
+    }
+
+    isDerivedCounter(key) {
+        return this.derivedCounters.has(key);
+    }
+
+    #getDerivedColumns(key, resolving = new Set()) {
+        if (resolving.has(key)) throw new Error(`Derived counter "${key}" depends on itself`);
+        resolving.add(key);
+
+        const { expression, inputs } = this.derivedCounters.get(key);
+        const columns = Object.fromEntries(Object.entries(inputs).map(([ name, input ]) => [
+            name,
+            this.derivedCounters.has(input) ? this.#getDerivedColumns(input, new Set(resolving)) : this.#getColumns(input)
+        ]));
+
+        const times = [];
+        const values = [];
+        if (this.timePointCount > 0) {
+            const firstTime = this.timePoints[ 0 ];
+            const lastTime = this.getLastTimePoint();
+
+            for (let index = Math.floor(firstTime / this.#bucketMs); index * this.#bucketMs <= lastTime; index++) {
+                const start = index * this.#bucketMs;
+                const end = start + this.#bucketMs;
+                const value = expression.evaluate(name => getBucketValue(columns[ name ], start, end));
+                if (!isFinite(value)) continue;
+
+                // Centre of the bucket, within the frames of the partial first and last ones
+                times.push(Math.min(Math.max(start + this.#bucketMs / 2, firstTime), lastTime));
+                values.push(value);
+            }
+        }
+
+        return { times: Float64Array.from(times), values: Float64Array.from(values) };
+    }
+
+    /**
+     * Points of a counter between `from` and `to` (inclusive, ms), found by binary search on its times.
+     * @param {string} key
+     * @param {number} [from]
+     * @param {number} [to]
+     * @param {string} [field] statistic of a bucketed counter: min, max, mean (default), percentile or count
+     * @returns {{times: Float64Array, values: Float64Array}}
+     */
+    getSlice(key, from = -Infinity, to = Infinity, field = 'mean') {
+        const { times, values } = this.#getColumns(key, field);
+        const start = findSortedIndex(times, from);
+        const end = findSortedIndex(times, to, true);
+        return { times: times.subarray(start, Math.max(start, end)), values: values.subarray(start, Math.max(start, end)) };
+    }
+
+    /**
+     * Points of a counter in a time range, resampled to the resolution they are drawn at.
+     * @param {string} key
+     * @param {object} [options]
+     * @param {number} [options.from] ms, defaults to the first point
+     * @param {number} [options.to] ms, defaults to the last point
+     * @param {number} [options.points] at most this many points, every point when omitted
+     * @param {string} [options.reducer] mean (default), min, max or lttb, see resample.js
+     * @param {string} [options.field] see getSlice
+     * @returns {{x: number, y: number}[]}
+     */
+    query(key, options = {}) {
+        const { times, values } = this.getSlice(key, options.from, options.to, options.field);
+        return resample(times, values, options.points, options.reducer);
+    }
+
+    /**
+     * Lowest and highest value of a counter in a time range, without building its points.
+     * @returns {{min: number, max: number} | null} null without any point in the range
+     */
+    getExtent(key, from, to, field) {
+        const { values } = this.getSlice(key, from, to, field);
+        if (values.length === 0) return null;
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[ i ] < min) min = values[ i ];
+            if (values[ i ] > max) max = values[ i ];
+        }
+        return { min, max };
+    }
+
     getCounterLastValue(key) {
         const data = this.getCounterData(key)
         return data[ data.length - 1 ]
@@ -341,50 +435,179 @@ export default class DataStore {
     }
 
     clearAll() {
-        this.timePoints = [];
+        this.timePoints = new Float64Array(INITIAL_CAPACITY);
+        this.timePointCount = 0;
         this.counters = new Map();
         this.vars = new Map();
         this.infiniteMaps = new Map();
         this.numericalCounters = new Map();
-        this.heaps = new Map();
         this.rateCounters = new Map();
+        this.bucketedCounters = new Map();
+        this.aggregates = new Map();
+        this.derivedCounters = new Map();
+    }
+
+    // Bucketed counter - every value is aggregated into fixed wall-clock buckets,
+    // so spikes between two stored points are kept as the bucket min/max
+    addBucketedValue(key, value, time = null) {
+        if (!this.bucketedCounters.has(key)) {
+            this.bucketedCounters.set(key, {
+                ...Object.fromEntries(BUCKET_FIELDS.map(field => [ field, new Float64Array(BUCKET_INITIAL_CAPACITY) ])),
+                size: 0,
+                capacity: BUCKET_INITIAL_CAPACITY,
+                current: null
+            });
+        }
+
+        const counter = this.bucketedCounters.get(key);
+        const timeValue = time !== null ? +time : +this.getLastTimePoint();
+        const bucketIndex = Math.floor(timeValue / this.#bucketMs);
+
+        if (counter.current && counter.current.index !== bucketIndex) {
+            this.#flushBucket(counter);
+        }
+
+        if (!counter.current) {
+            counter.current = { index: bucketIndex, firstTime: timeValue, lastTime: timeValue, values: [] };
+        }
+
+        counter.current.values.push(value);
+        counter.current.lastTime = timeValue;
+        this.#addToAggregate(key, value);
+        return counter.current.values.length;
     }
 
-    // Rate counter - sparse data with Chart.js stepped visualization
-    incrementRateCounter(key, incrementer, time = null) {
-        if (!this.rateCounters.has(key)) {
-            this.rateCounters.set(key, {
-                currentCount: 0,
-                lastSecond: -1,
-                lastFrameTime: 0,
-                data: []
+    #summarizeBucket(bucket) {
+        const sorted = Float64Array.from(bucket.values).sort();
+        let sum = 0;
+        for (let i = 0; i < sorted.length; i++) sum += sorted[ i ];
+
+        const rank = Math.min(sorted.length - 1, Math.ceil(this.#bucketPercentile / 100 * sorted.length) - 1);
+
+        return {
+            // Centre of the samples rather than of the bucket, the last bucket is usually partial
+            times: (bucket.firstTime + bucket.lastTime) / 2,
+            min: sorted[ 0 ],
+            max: sorted[ sorted.length - 1 ],
+            mean: sum / sorted.length,
+            percentile: sorted[ Math.max(rank, 0) ],
+            count: sorted.length
+        };
+    }
+
+    #flushBucket(counter) {
+        if (counter.size >= counter.capacity) {
+            const newCapacity = counter.capacity * 2;
+            BUCKET_FIELDS.forEach(field => {
+                const grown = new Float64Array(newCapacity);
+                grown.set(counter[ field ]);
+                counter[ field ] = grown;
             });
+            counter.capacity = newCapacity;
+        }
+
+        const summary = this.#summarizeBucket(counter.current);
+        BUCKET_FIELDS.forEach(field => {
+            counter[ field ][ counter.size ] = summary[ field ];
+        });
+        counter.size++;
+        counter.current = null;
+    }
+
+    isBucketedCounter(key) {
+        return this.bucketedCounters.has(key);
+    }
+
+    /**
+     * Returns every bucket of a counter, including the one still being filled.
+     * @param {string} key
+     * @returns {{x: number, min: number, max: number, mean: number, percentile: number, count: number}[]}
+     */
+    getBucketedData(key) {
+        const counter = this.bucketedCounters.get(key);
+        if (!counter) return [];
+
+        const summaries = [];
+        for (let i = 0; i < counter.size; i++) {
+            summaries.push(Object.fromEntries(BUCKET_FIELDS.map(field => [ field, counter[ field ][ i ] ])));
         }
+        if (counter.current) summaries.push(this.#summarizeBucket(counter.current));
+
+        return summaries.map(({ times, ...stats }) => ({ x: times, ...stats }));
+    }
+
+    // Single statistic of a bucketed counter as {x, y} points
+    getBucketedSeries(key, field = 'mean') {
+        return this.getBucketedData(key).map(bucket => ({ x: bucket.x, y: bucket[ field ] }));
+    }
+
+    /**
+     * Sets the window of a rate counter, before its first increment (1 s tumbling windows otherwise).
+     * Tumbling windows give one point per window, with a shorter `slideMs` the window slides:
+     * one point every `slideMs`, counting the last `windowMs`.
+     * Rates are per second whatever the window, the first window of a capture is partial and reads low.
+     * @param {string} key
+     * @param {object} [options]
+     * @param {number} [options.windowMs] default 1000
+     * @param {number} [options.slideMs] defaults to windowMs, must divide it
+     */
+    defineRateCounter(key, { windowMs = RATE_WINDOW_MS_DEFAULT, slideMs = windowMs } = {}) {
+        if (this.rateCounters.has(key)) throw new Error(`Rate counter "${key}" is already defined`);
+        if (!(slideMs > 0) || !(windowMs >= slideMs) || windowMs % slideMs !== 0)
+            throw new Error(`Rate counter "${key}" needs a window that is a multiple of its slide (${windowMs} ms / ${slideMs} ms)`);
+
+        this.rateCounters.set(key, {
+            windowMs,
+            slideMs,
+            // Counts of the previous slides still in the window, oldest first
+            slides: [],
+            currentCount: 0,
+            lastSlide: -1,
+            lastFrameTime: 0,
+            data: []
+        });
+    }
+
+    // Rate counter - sparse data with Chart.js stepped visualization
+    incrementRateCounter(key, incrementer, time = null) {
+        if (!this.rateCounters.has(key)) this.defineRateCounter(key);
 
         const counter = this.rateCounters.get(key);
         
         const timeValue = +this.addTimePoint(time);
-        const currentSecond = Math.floor(timeValue / 1000);
+        const currentSlide = Math.floor(timeValue / counter.slideMs);
 
-        if (currentSecond > counter.lastSecond) {
-            // New second - record TPS at the LAST frame's timestamp of previous second
-            if (counter.lastSecond >= 0) { // Skip first initialization
+        if (currentSlide > counter.lastSlide) {
+            // New slide - record the rate at the LAST frame's timestamp of the previous one
+            if (counter.lastSlide >= 0) { // Skip first initialization
                 counter.data.push({
                     x: counter.lastFrameTime, // Use last frame time, not crossing time
-                    y: counter.currentCount
+                    y: this.#getRate(counter)
                 });
+
+                // Slides without any increment count 0, only the ones still in the window are kept
+                const kept = counter.windowMs / counter.slideMs - 1;
+                const empty = Math.min(currentSlide - counter.lastSlide - 1, kept);
+                counter.slides.push(counter.currentCount, ...new Array(empty).fill(0));
+                counter.slides.splice(0, Math.max(0, counter.slides.length - kept));
             }
             counter.currentCount = incrementer; // Reset and count this increment
-            counter.lastSecond = currentSecond;
+            counter.lastSlide = currentSlide;
         } else {
-            // Same second - just increment counter
+            // Same slide - just increment counter
             counter.currentCount += incrementer;
         }
 
         // Always update last frame time
         counter.lastFrameTime = timeValue;
 
-        return counter.currentCount;
+        return this.#getRate(counter);
+    }
+
+    // Per second over the window: the previous slides still in it and the current one
+    #getRate(counter) {
+        const count = counter.slides.reduce((sum, slideCount) => sum + slideCount, counter.currentCount);
+        return count * 1000 / counter.windowMs;
     }
 
     getRateCounterData(key) {
@@ -393,10 +616,10 @@ export default class DataStore {
 
         // If we have a current count but haven't recorded it yet, add it
         const data = [ ...counter.data ];
-        if (counter.currentCount > 0 && counter.lastSecond >= 0) {
+        if (counter.currentCount > 0 && counter.lastSlide >= 0) {
             data.push({
                 x: +this.getLastTimePoint(), // Convert to number
-                y: counter.currentCount
+                y: this.#getRate(counter)
             });
         }
 
@@ -433,6 +656,14 @@ export default class DataStore {
             return this.getRateCounterData(key).map(p => p.y);
         }
 
+        if (this.bucketedCounters.has(key)) {
+            return this.getBucketedSeries(key).map(p => p.y);
+        }
+
+        if (this.derivedCounters.has(key)) {
+            return Array.from(this.#getColumns(key).values);
+        }
+
         if (this.numericalCounters.has(key)) {
             const counter = this.numericalCounters.get(key);
             const result = [];
@@ -446,26 +677,211 @@ export default class DataStore {
         return data.map(p => p.y);
     }
 
-    // Performance methods using heap-js
+    /**
+     * Compact snapshot of the store: a length-prefixed JSON header followed by the Float64 columns
+     * of the time points and of the numerical, rate and bucketed counters.
+     * Labelled counters, vars, infinite maps and the expressions of the derived counters are kept in the header.
+     * @returns {Buffer}
+     */
+    serialize() {
+        const columns = [];
+        const addColumn = (array, length = array.length) => {
+            columns.push(array.subarray(0, length));
+            return columns.length - 1;
+        };
+
+        const header = {
+            version: SERIALIZATION_VERSION,
+            bucketMs: this.#bucketMs,
+            bucketPercentile: this.#bucketPercentile,
+            timePoints: addColumn(this.timePoints, this.timePointCount),
+            numericalCounters: [ ...this.numericalCounters ].map(([ key, counter ]) => ({
+                key,
+                times: addColumn(counter.times, counter.count),
+                values: addColumn(counter.values, counter.count)
+            })),
+            rateCounters: [ ...this.rateCounters ].map(([ key, { data, ...state } ]) => ({
+                key,
+                ...state,
+                x: addColumn(Float64Array.from(data, point => point.x)),
+                y: addColumn(Float64Array.from(data, point => point.y))
+            })),
+            bucketedCounters: [ ...this.bucketedCounters ].map(([ key, counter ]) => ({
+                key,
+                current: counter.current,
+                ...Object.fromEntries(BUCKET_FIELDS.map(field => [ field, addColumn(counter[ field ], counter.size) ]))
+            })),
+            aggregates: this.aggregates,
+            derivedCounters: [ ...this.derivedCounters ].map(([ key, { expression, inputs } ]) => ({ key, expression: expression.source, inputs })),
+            counters: this.counters,
+            vars: this.vars,
+            infiniteMaps: this.infiniteMaps
+        };
+        header.columns = columns.map(column => column.length);
+
+        const json = Buffer.from(JSON.stringify(header, serializeValue));
+        // The columns start on a multiple of 8 bytes
+        const columnsOffset = Math.ceil((4 + json.length) / 8) * 8;
+        const buffer = Buffer.alloc(columnsOffset + columns.reduce((sum, column) => sum + column.byteLength, 0));
+        buffer.writeUInt32LE(json.length, 0);
+        json.copy(buffer, 4);
+
+        let offset = columnsOffset;
+        columns.forEach(column => {
+            Buffer.from(column.buffer, column.byteOffset, column.byteLength).copy(buffer, offset);
+            offset += column.byteLength;
+        });
+
+        return buffer;
+    }
+
+    /**
+     * @param {Buffer} buffer written by serialize()
+     * @returns {DataStore}
+     */
+    static deserialize(buffer) {
+        const jsonLength = buffer.readUInt32LE(0);
+        const header = JSON.parse(buffer.toString('utf8', 4, 4 + jsonLength), deserializeValue);
+        if (header.version !== SERIALIZATION_VERSION) throw new Error(`Unsupported DataStore version ${header.version}, expected ${SERIALIZATION_VERSION}`);
+
+        let offset = Math.ceil((4 + jsonLength) / 8) * 8;
+        const columns = header.columns.map(length => {
+            // Copied out of the file buffer, which is not guaranteed to be 8 byte aligned
+            const column = new Float64Array(Math.max(length, 1));
+            column.set(new Float64Array(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + length * 8)));
+            offset += length * 8;
+            return { column, length };
+        });
+
+        const store = new DataStore({ bucketMs: header.bucketMs, bucketPercentile: header.bucketPercentile });
+        store.timePoints = columns[ header.timePoints ].column;
+        store.timePointCount = columns[ header.timePoints ].length;
+
+        header.numericalCounters.forEach(({ key, times, values }) => {
+            const { length } = columns[ values ];
+            store.numericalCounters.set(key, { times: columns[ times ].column, values: columns[ values ].column, count: length, capacity: columns[ values ].column.length });
+        });
+
+        header.rateCounters.forEach(({ key, x, y, ...state }) => {
+            const data = [];
+            for (let i = 0; i < columns[ x ].length; i++) data.push({ x: columns[ x ].column[ i ], y: columns[ y ].column[ i ] });
+            store.rateCounters.set(key, { ...state, data });
+        });
+
+        header.bucketedCounters.forEach(({ key, current, ...fields }) => {
+            const size = columns[ fields.times ].length;
+            store.bucketedCounters.set(key, {
+                ...Object.fromEntries(BUCKET_FIELDS.map(field => [ field, columns[ fields[ field ] ].column ])),
+                size,
+                capacity: columns[ fields.times ].column.length,
+                current
+            });
+        });
+
+        header.derivedCounters.forEach(({ key, expression, inputs }) => {
+            store.derivedCounters.set(key, { expression: compileExpression(expression), inputs });
+        });
+
+        store.aggregates = header.aggregates;
+        store.counters = header.counters;
+        store.vars = header.vars;
+        store.infiniteMaps = header.infiniteMaps;
+        return store;
+    }
+
+    /**
+     * Every value stored in a numerical counter, or added to a bucketed one, summarized in O(1).
+     * Derived counters are summarized over their buckets.
+     * @param {string} key
+     * @returns {{count: number, min: number, max: number, mean: number, stddev: number} | undefined}
+     */
+    getRunningStats(key) {
+        const aggregate = this.derivedCounters.has(key) ? this.#getDerivedAggregate(key) : this.aggregates.get(key);
+        if (!aggregate) return undefined;
+
+        const { count, min, max, sum, sumOfSquares } = aggregate;
+        const mean = sum / count;
+        const variance = count > 1 ? Math.max(0, (sumOfSquares - sum * mean) / (count - 1)) : 0;
+        return { count, min, max, mean, stddev: Math.sqrt(variance) };
+    }
+
+    #getDerivedAggregate(key) {
+        const { values } = this.#getColumns(key);
+        if (values.length === 0) return undefined;
+
+        const aggregate = createAggregate();
+        values.forEach(value => addToAggregate(aggregate, value));
+        return aggregate;
+    }
+
     getMinValue(key) {
-        const minHeap = this.heaps.get(key + '_min');
-        return minHeap ? minHeap.peek() : undefined;
+        return this.getRunningStats(key)?.min;
     }
 
     getMaxValue(key) {
-        const maxHeap = this.heaps.get(key + '_max');
-        return maxHeap ? maxHeap.peek() : undefined;
+        return this.getRunningStats(key)?.max;
     }
 
-    // Fast average calculation using TypedArrays
     getAverageValue(key) {
-        if (!this.numericalCounters.has(key)) return undefined;
+        return this.getRunningStats(key)?.mean;
+    }
 
-        const counter = this.numericalCounters.get(key);
+    /**
+     * Moving statistic of a counter over the previous `windowMs` of every one of its points.
+     * @param {string} key
+     * @param {number} windowMs
+     * @param {string} [stat] "mean" or a percentile such as "p95"
+     * @returns {{x: number, y: number}[]}
+     */
+    getRollingSeries(key, windowMs, stat = 'mean') {
+        const percentile = stat === 'mean' ? null : stat.match(PERCENTILE_STAT_REGEX)?.[ 1 ];
+        if (stat !== 'mean' && !percentile) throw new Error(`Unknown rolling statistic "${stat}", expected "mean" or a percentile such as "p95"`);
+
+        const window = new RollingWindow(windowMs);
+        return this.getCounterData(key).map(point => {
+            window.add(+point.x, point.y);
+            return { x: +point.x, y: percentile ? window.percentile(+percentile) : window.mean };
+        });
+    }
+}
+
+function createAggregate() {
+    return { count: 0, min: Infinity, max: -Infinity, sum: 0, sumOfSquares: 0 };
+}
+
+function addToAggregate(aggregate, value) {
+    aggregate.count++;
+    if (value < aggregate.min) aggregate.min = value;
+    if (value > aggregate.max) aggregate.max = value;
+    aggregate.sum += value;
+    aggregate.sumOfSquares += value * value;
+}
+
+// Mean of the points of a column in [start, end), else its last value before start
+function getBucketValue(column, start, end) {
+    const { times, values } = column;
+    const first = findSortedIndex(times, start);
+    const last = findSortedIndex(times, end);
+    if (last > first) {
         let sum = 0;
-        for (let i = 0; i < counter.count; i++) {
-            sum += counter.values[ i ];
-        }
-        return sum / counter.count;
-    }
-}
\ No newline at end of file
+        for (let i = first; i < last; i++) sum += values[ i ];
+        return sum / (last - first);
+    }
+    return first > 0 ? values[ first - 1 ] : NaN;
+}
+
+// JSON replacer keeping the Maps and Dates of the labelled counters and vars, see deserializeValue
+function serializeValue(key, value) {
+    const raw = this[ key ];
+    if (raw instanceof Date) return { $date: +raw };
+    if (raw instanceof Map) return { $map: [ ...raw ] };
+    return value;
+}
+
+function deserializeValue(_key, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if ('$date' in value) return new Date(value.$date);
+        if ('$map' in value) return new Map(value.$map);
+    }
+    return value;
+}
@@ -0,0 +1,255 @@
+import Chart from 'chart.js/auto';
+import annotationPlugin from 'chartjs-plugin-annotation';
+import { applyChartCallbacks } from './chart-formatters.js';
+import { getDefaultChartTheme } from './chart-theme.js';
+import { withAlpha } from './chart-generator.js';
+
+Chart.register(annotationPlugin);
+
+const HISTOGRAM_BINS = 60;
+const NICE_STEPS = [ 1, 2, 2.5, 5, 10 ];
+
+// Tails beyond these quantiles are folded into the first and last bins
+const RANGE_QUANTILES = [ 0.001, 0.999 ];
+
+// Largest 1/2/2.5/5 x 10^n step giving at least `bins` bins over the range
+function getNiceStep(range, bins) {
+    const rough = range / bins;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    return NICE_STEPS.findLast(step => step * magnitude <= rough) * magnitude;
+}
+
+/**
+ * Frame time histogram (share of frames per bin) and cumulative distribution of one or more runs,
+ * with the frame time budget of the target tick rates marked.
+ * `runs` are `{ label, sketch }`, the sketch being the QuantileSketch of the FrameTime column.
+ */
+export default class DistributionChartGenerator {
+    constructor(canvas, canvasWidth, canvasHeight, runs, options = {}) {
+        this.basename = options.basename || 'Chart';
+        this.theme = options.theme || getDefaultChartTheme();
+        const fontUnit = canvasHeight * this.theme.fontScale;
+        const { colors, categories: palette } = this.theme;
+
+        runs = runs.filter(run => run.sketch && run.sketch.count > 0);
+        if (runs.length === 0) throw new Error('No frame time distribution to draw');
+
+        const lowest = Math.min(...runs.map(run => run.sketch.quantile(RANGE_QUANTILES[ 0 ])));
+        const highest = Math.max(...runs.map(run => run.sketch.quantile(RANGE_QUANTILES[ 1 ])));
+        const step = getNiceStep(Math.max(highest - lowest, 0.01), HISTOGRAM_BINS);
+        const start = Math.floor(lowest / step) * step;
+        const binCount = Math.max(1, Math.ceil((highest - start) / step));
+
+        const datasets = runs.flatMap((run, index) => {
+            const color = palette[ index % palette.length ];
+            const label = runs.length > 1 || run.label ? `${run.label} ` : '';
+            const summary = `p50 ${run.sketch.quantile(0.5).toFixed(1)} ms, p99 ${run.sketch.quantile(0.99).toFixed(1)} ms`;
+            const histogram = this.createHistogram(run.sketch, start, step, binCount);
+
+            return [ {
+                label: `${label}frames (${summary})`,
+                series: { id: 'histogram', shortLabel: `${label}frames`, unit: '%', precision: 2 },
+                data: histogram,
+                yAxisID: 'y',
+                stepped: 'middle',
+                borderColor: color,
+                backgroundColor: withAlpha(color, runs.length > 1 ? '33' : '66'),
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 3,
+                fill: 'origin'
+            }, {
+                label: `${label}cumulative`,
+                series: { id: 'cdf', shortLabel: `${label}cumulative`, unit: '%', precision: 2 },
+                data: this.createCdf(run.sketch, start, start + binCount * step),
+                yAxisID: 'y1',
+                borderColor: color,
+                borderDash: [ 8, 4 ],
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 3,
+                fill: false
+            } ];
+        });
+
+        this.chartContext = {
+            canvasHeight,
+            theme: this.theme,
+            seriesScales: {},
+            xUnit: 'ms'
+        };
+
+        this.chartConfig = {
+            type: 'line',
+            data: {
+                datasets
+            },
+            options: {
+                responsive: false,
+                maintainAspectRatio: false,
+                layout: {
+                    padding: {
+                        left: canvasHeight / 20,
+                        right: canvasHeight / 20,
+                        top: canvasHeight / 40,
+                        bottom: canvasHeight / 40
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        position: 'bottom',
+                        min: start,
+                        max: start + binCount * step,
+                        title: {
+                            display: true,
+                            text: 'Frame time (ms)',
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 60) }
+                        },
+                        ticks: {
+                            color: colors.title
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Frames (%)',
+                            color: colors.text,
+                            font: { size: Math.round(fontUnit / 40) }
+                        },
+                        ticks: {
+                            color: colors.text
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        position: 'right',
+                        min: 0,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Cumulative (%)',
+                            color: colors.text,
+                            font: { size: Math.round(fontUnit / 40) }
+                        },
+                        ticks: {
+                            color: colors.text
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 70) },
+                            usePointStyle: true,
+                            pointStyle: 'line'
+                        }
+                    },
+                    annotation: {
+                        annotations: this.createTargetAnnotations(options.targetTickrates || [], start, start + binCount * step, fontUnit)
+                    },
+                    title: {
+                        display: true,
+                        text: options.title || `${this.basename} - Frame time distribution`,
+                        color: colors.title,
+                        font: {
+                            size: Math.round(fontUnit / 40),
+                            weight: 'bold'
+                        },
+                        padding: 20
+                    },
+                    tooltip: {
+                        mode: 'nearest',
+                        axis: 'x',
+                        intersect: false,
+                        backgroundColor: colors.tooltipBackground,
+                        titleColor: colors.tooltipText,
+                        bodyColor: colors.tooltipText,
+                        borderColor: colors.tooltipText,
+                        borderWidth: 1
+                    }
+                }
+            }
+        };
+
+        // Without a canvas only the serializable configuration is built, see chartConfig and chartContext
+        if (!canvas) return;
+
+        const plugins = applyChartCallbacks(this.chartConfig, this.chartContext);
+        return new Chart(canvas, { ...this.chartConfig, plugins });
+    }
+
+    // Share of frames per linear bin, the bin centre as x
+    createHistogram(sketch, start, step, binCount) {
+        const counts = new Array(binCount).fill(0);
+        sketch.getBins().forEach(([ value, count ]) => {
+            const index = Math.min(Math.max(Math.floor((value - start) / step), 0), binCount - 1);
+            counts[ index ] += count;
+        });
+
+        return counts.map((count, index) => ({
+            x: start + (index + 0.5) * step,
+            y: count / sketch.count * 100
+        }));
+    }
+
+    createCdf(sketch, min, max) {
+        const points = [];
+        let cumulative = 0;
+
+        sketch.getBins().forEach(([ value, count ]) => {
+            cumulative += count;
+            if (value >= min && value <= max) points.push({ x: value, y: cumulative / sketch.count * 100 });
+        });
+
+        return points;
+    }
+
+    // Frame time budget of every target tick rate within the drawn range
+    createTargetAnnotations(targetTickrates, min, max, fontUnit) {
+        const { colors } = this.theme;
+        const annotations = {};
+
+        targetTickrates.forEach(tickrate => {
+            const budget = 1000 / tickrate;
+            if (budget < min || budget > max) return;
+
+            annotations[ `target${tickrate}` ] = {
+                type: 'line',
+                xMin: budget,
+                xMax: budget,
+                borderColor: colors.marker,
+                borderWidth: 1,
+                borderDash: [ 5, 5 ],
+                label: {
+                    display: true,
+                    content: `${tickrate} TPS (${budget.toFixed(1)} ms)`,
+                    position: 'start',
+                    backgroundColor: withAlpha(colors.marker, 'CC'),
+                    color: colors.markerText,
+                    font: {
+                        size: Math.round(fontUnit / 80)
+                    }
+                }
+            };
+        });
+
+        return annotations;
+    }
+}
@@ -0,0 +1,29 @@
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    h: 60 * 60 * 1000,
+};
+
+/**
+ * Parses a duration such as "500ms", "5s", "1.5m" or "2h" into milliseconds.
+ * Plain numbers are read as seconds.
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') return value * 1000;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|min|h)?$/i);
+    if (!match) throw new Error(`Invalid duration "${value}" (examples: 500ms, 5s, 1m)`);
+
+    return parseFloat(match[ 1 ]) * UNITS[ (match[ 2 ] || 's').toLowerCase() ];
+}
+
+export function formatDuration(ms) {
+    if (ms % UNITS.h === 0) return `${ms / UNITS.h}h`;
+    if (ms % UNITS.m === 0) return `${ms / UNITS.m}m`;
+    if (ms % UNITS.s === 0) return `${ms / UNITS.s}s`;
+    return `${ms}ms`;
+}
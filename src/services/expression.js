@@ -0,0 +1,165 @@
+// Small arithmetic expression language used by the metric configuration.
+// Identifiers are series ids or column names; names containing other characters
+// (e.g. "Exclusive/GameThread/Tick") are written between square brackets.
+// No access to JavaScript globals: only numbers, + - * / %, parentheses and FUNCTIONS.
+
+const FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    log: Math.log,
+};
+
+const BINARY_PRECEDENCE = {
+    '+': 1,
+    '-': 1,
+    '*': 2,
+    '/': 2,
+    '%': 2,
+};
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[ i ];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+            if (!match) throw new Error(`Invalid number at position ${i} in "${source}"`);
+            tokens.push({ type: 'number', value: parseFloat(match[ 0 ]) });
+            i += match[ 0 ].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = source.slice(i).match(/^[A-Za-z_][\w.]*/);
+            tokens.push({ type: 'identifier', value: match[ 0 ] });
+            i += match[ 0 ].length;
+        } else if (char === '[') {
+            const end = source.indexOf(']', i);
+            if (end === -1) throw new Error(`Unclosed "[" at position ${i} in "${source}"`);
+            tokens.push({ type: 'identifier', value: source.slice(i + 1, end).trim() });
+            i = end + 1;
+        } else if ('+-*/%(),'.includes(char)) {
+            tokens.push({ type: 'punctuation', value: char });
+            i++;
+        } else {
+            throw new Error(`Unexpected "${char}" at position ${i} in "${source}"`);
+        }
+    }
+
+    return tokens;
+}
+
+function parse(source) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[ position ];
+    const expect = (value) => {
+        const token = tokens[ position++ ];
+        if (!token || token.value !== value) throw new Error(`Expected "${value}" in "${source}"`);
+    };
+
+    function parsePrimary() {
+        const token = tokens[ position++ ];
+        if (!token) throw new Error(`Unexpected end of expression "${source}"`);
+
+        if (token.type === 'number') return { type: 'number', value: token.value };
+
+        if (token.value === '-') return { type: 'negate', argument: parsePrimary() };
+
+        if (token.value === '(') {
+            const node = parseBinary(0);
+            expect(')');
+            return node;
+        }
+
+        if (token.type === 'identifier') {
+            if (peek()?.value !== '(') return { type: 'identifier', name: token.value };
+
+            if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`Unknown function "${token.value}" in "${source}"`);
+            position++;
+            const args = [];
+            while (peek()?.value !== ')') {
+                if (args.length > 0) expect(',');
+                args.push(parseBinary(0));
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+
+        throw new Error(`Unexpected "${token.value}" in "${source}"`);
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parsePrimary();
+
+        while (peek()?.type === 'punctuation' && BINARY_PRECEDENCE[ peek().value ] > minPrecedence) {
+            const operator = tokens[ position++ ].value;
+            const right = parseBinary(BINARY_PRECEDENCE[ operator ]);
+            left = { type: 'binary', operator, left, right };
+        }
+
+        return left;
+    }
+
+    const ast = parseBinary(0);
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[ position ].value}" in "${source}"`);
+    return ast;
+}
+
+function evaluate(node, resolve) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'identifier':
+            // A name without a value makes the result NaN, the callers leave those values out
+            return +resolve(node.name);
+        case 'negate':
+            return -evaluate(node.argument, resolve);
+        case 'call':
+            return FUNCTIONS[ node.name ](...node.args.map(arg => evaluate(arg, resolve)));
+        case 'binary': {
+            const left = evaluate(node.left, resolve);
+            const right = evaluate(node.right, resolve);
+            switch (node.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+            }
+        }
+    }
+    throw new Error(`Invalid expression node "${node.type}"`);
+}
+
+function collectIdentifiers(node, identifiers = new Set()) {
+    if (node.type === 'identifier') identifiers.add(node.name);
+    if (node.argument) collectIdentifiers(node.argument, identifiers);
+    if (node.left) collectIdentifiers(node.left, identifiers);
+    if (node.right) collectIdentifiers(node.right, identifiers);
+    node.args?.forEach(arg => collectIdentifiers(arg, identifiers));
+    return identifiers;
+}
+
+/**
+ * Compiles an expression once so it can be evaluated for every frame.
+ * @param {string} source e.g. "cpuTime / frameTime * 100"
+ * @returns {{ source: string, identifiers: string[], evaluate: (resolve: (name: string) => number) => number }}
+ */
+export function compileExpression(source) {
+    const ast = parse(String(source));
+
+    return {
+        source,
+        identifiers: [ ...collectIdentifiers(ast) ],
+        evaluate: (resolve) => evaluate(ast, resolve),
+    };
+}
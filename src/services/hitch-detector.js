@@ -0,0 +1,62 @@
+import { insertSorted, removeSorted } from './sorted-array.js';
+
+export const TOP_HITCHES_DEFAULT = 10;
+
+// Longest hitches first
+export function getTopHitches(hitches, limit = TOP_HITCHES_DEFAULT) {
+    return [ ...(hitches || []) ].sort((a, b) => b.duration - a.duration).slice(0, limit);
+}
+
+/**
+ * Flags frames much longer than an absolute threshold or than the median of the previous frames.
+ * The rolling median is kept on a sorted copy of the window, O(window) per frame.
+ */
+export default class HitchDetector {
+    #frames = []
+    #sorted = []
+
+    /**
+     * @param {object} options
+     * @param {number|null} [options.threshold] frame time (ms) above which a frame is always a hitch
+     * @param {number|null} [options.medianMultiple] a frame is a hitch above this multiple of the rolling median
+     * @param {number} [options.window] frames in the rolling median
+     */
+    constructor({ threshold = null, medianMultiple = null, window = 120 } = {}) {
+        this.threshold = threshold;
+        this.medianMultiple = medianMultiple;
+        this.window = window;
+    }
+
+    get median() {
+        const length = this.#sorted.length;
+        if (length === 0) return null;
+
+        const middle = length >> 1;
+        return length % 2 === 1 ? this.#sorted[ middle ] : (this.#sorted[ middle - 1 ] + this.#sorted[ middle ]) / 2;
+    }
+
+    /**
+     * Judges a frame against the frames before it, then adds it to the window.
+     * @param {number} frameTime
+     * @returns {{ median: number|null } | null} the hitch, null for a regular frame
+     */
+    check(frameTime) {
+        const median = this.median;
+        const aboveThreshold = this.threshold !== null && frameTime > this.threshold;
+        // The relative rule waits for a full window, the first frames of a capture are usually slow
+        const aboveMedian = this.medianMultiple !== null && this.#frames.length === this.window && frameTime > median * this.medianMultiple;
+
+        this.#add(frameTime);
+        return aboveThreshold || aboveMedian ? { median } : null;
+    }
+
+    #add(frameTime) {
+        this.#frames.push(frameTime);
+        insertSorted(this.#sorted, frameTime);
+
+        if (this.#frames.length > this.window) {
+            const removed = this.#frames.shift();
+            removeSorted(this.#sorted, removed);
+        }
+    }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Browser builds shipped with the installed packages, inlined so the page works offline
+function getVendorScripts() {
+    const chartDir = path.dirname(require.resolve('chart.js'));
+    const zoomPath = require.resolve('chartjs-plugin-zoom');
+    const hammerDir = path.dirname(createRequire(zoomPath).resolve('hammerjs'));
+
+    return [
+        path.join(chartDir, 'chart.umd.min.js'),
+        path.join(hammerDir, 'hammer.min.js'),
+        path.join(path.dirname(require.resolve('chartjs-plugin-annotation')), 'chartjs-plugin-annotation.min.js'),
+        path.join(path.dirname(zoomPath), 'chartjs-plugin-zoom.min.js'),
+    ].map(file => fs.readFileSync(file, 'utf8'));
+}
+
+function getFormattersSource() {
+    return fs.readFileSync(new URL('./chart-formatters.js', import.meta.url), 'utf8').replace(/^export /gm, '');
+}
+
+// JSON is embedded in a <script>, "</script>" inside a label must not close it
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+const PAGE_SCRIPT = `
+const plugins = applyChartCallbacks(config, context);
+
+config.options.responsive = true;
+config.options.animation = false;
+config.options.plugins.zoom = {
+    limits: { x: { min: 'original', max: 'original', minRange: context.xUnit ? 0.1 : 1000 } },
+    pan: { enabled: true, mode: 'x' },
+    zoom: {
+        mode: 'x',
+        wheel: { enabled: true },
+        pinch: { enabled: true },
+        drag: { enabled: true, modifierKey: 'shift', backgroundColor: 'rgba(78, 205, 196, 0.2)' }
+    }
+};
+
+const chart = new Chart(document.getElementById('chart'), { ...config, plugins });
+document.getElementById('reset').addEventListener('click', () => chart.resetZoom());
+document.getElementById('chart').addEventListener('dblclick', () => chart.resetZoom());
+`;
+
+/**
+ * Builds a self-contained page drawing the same datasets and scales as the PNG chart,
+ * with wheel/pinch zoom, drag-pan and tooltips.
+ * @param {import('./chart-generator.js').default} generator created without a canvas
+ * @param {string} title
+ * @returns {string} HTML
+ */
+export function buildInteractiveChartHtml(generator, title) {
+    const { colors } = generator.chartContext.theme;
+    const scripts = getVendorScripts().map(source => `<script>${source}</script>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+html, body { margin: 0; height: 100%; background: ${colors.background}; color: ${colors.text}; font-family: Arial, sans-serif; }
+#toolbar { display: flex; gap: 1em; align-items: center; padding: 8px 16px; font-size: 13px; color: ${colors.subtitle}; }
+#toolbar button { background: #2a2a2e; color: #ddd; border: 1px solid #444; padding: 4px 12px; cursor: pointer; }
+#container { position: relative; height: calc(100% - 48px); }
+</style>
+</head>
+<body>
+<div id="toolbar">
+<button id="reset">Reset zoom</button>
+<span>Wheel or pinch to zoom, drag to pan, shift + drag to zoom on a range, double click to reset</span>
+</div>
+<div id="container"><canvas id="chart"></canvas></div>
+${scripts}
+<script>
+${getFormattersSource()}
+const config = ${toScriptJson(generator.chartConfig)};
+const context = ${toScriptJson(generator.chartContext)};
+${PAGE_SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,44 @@
+export const PHASE_NAMES = [ 'seeding', 'live', 'end' ];
+
+/**
+ * Splits a capture into its seeding (server filling up), live and end (end of round, map change) phases.
+ * The live phase starts on the first live event, else when the player count first reaches the threshold.
+ * It ends on the first end event after its start, else when the player count last drops below the threshold.
+ * @param {{time: number, players: number}[]} players player count changes
+ * @param {{time: number, name: string}[]} events
+ * @param {{start: number, end: number}} capture match time of the first and last frames
+ * @param {object} config normalized "phases" of the metric configuration
+ * @returns {{name: string, from: number, to: number}[]} phases as [from, to) windows, empty without a live phase
+ */
+export function detectPhases(players, events, capture, config) {
+    const threshold = getLiveThreshold(players, config.liveThreshold);
+    const isAnyOf = (event, names) => names.some(name => event.name.startsWith(name));
+
+    const liveEvent = events.find(event => isAnyOf(event, config.liveEvents));
+    const liveStart = liveEvent ? liveEvent.time : players.find(point => point.players >= threshold)?.time;
+    if (liveStart === undefined) return [];
+
+    let liveEnd = events.find(event => event.time > liveStart && isAnyOf(event, config.endEvents))?.time;
+    if (liveEnd === undefined) {
+        const lastAbove = players.findLastIndex(point => point.players >= threshold);
+        if (lastAbove !== -1) liveEnd = players[ lastAbove + 1 ]?.time;
+    }
+    // The window end is exclusive, the last frame belongs to the last phase
+    const captureEnd = capture.end + 1;
+    if (liveEnd === undefined || liveEnd <= liveStart) liveEnd = captureEnd;
+
+    return [
+        { name: 'seeding', from: capture.start, to: liveStart },
+        { name: 'live', from: Math.max(liveStart, capture.start), to: liveEnd },
+        { name: 'end', from: liveEnd, to: captureEnd },
+    ].filter(phase => phase.to > phase.from);
+}
+
+// "50%" is half of the peak player count of the capture, a number is a player count
+function getLiveThreshold(players, liveThreshold) {
+    if (typeof liveThreshold !== 'string') return liveThreshold;
+
+    const peak = players.reduce((max, point) => Math.max(max, point.players), 0);
+    // Without any player the threshold is never reached
+    return peak > 0 ? Math.max(1, peak * parseFloat(liveThreshold) / 100) : Infinity;
+}
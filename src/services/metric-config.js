@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { compileExpression } from './expression.js';
+import { parseDuration } from './duration.js';
+
+export const DEFAULT_METRIC_CONFIG_PATH = new URL('../../config/metrics.json', import.meta.url);
+
+const AGGREGATES = [ 'pick', 'sum', 'expression', 'rate' ];
+// Expressions run on every frame, or on the buckets of the DataStore (derived counters)
+const EVALUATIONS = [ 'frame', 'bucket' ];
+const RATE_WINDOW_DEFAULT = '1s';
+
+const BREAKDOWN_TOP_DEFAULT = 8;
+
+const PLAYER_SCALING_DEFAULTS = {
+    bucketSize: 10,
+    players: 'playerCount',
+    gameThread: 'cpuTime',
+};
+
+const HITCH_DEFAULTS = {
+    threshold: 100,
+    medianMultiple: 3,
+    window: 120,
+    culprits: 3,
+};
+
+// Live part of a match, see match-phases.js
+const PHASE_DEFAULTS = {
+    players: 'playerCount',
+    liveThreshold: '50%',
+    liveEvents: [ 'MatchStart' ],
+    endEvents: [ 'MatchEnd' ],
+};
+
+// Frame time budgets marked on the distribution chart
+const TARGET_TICKRATES_DEFAULT = [ 30, 60 ];
+
+// Series the processor cannot work without: the timeline is built from the frame times
+const REQUIRED_SERIES = [ 'frameTime' ];
+
+let defaultConfig = null;
+
+export function getDefaultMetricConfig() {
+    if (!defaultConfig)
+        defaultConfig = normalizeMetricConfig(JSON.parse(fs.readFileSync(DEFAULT_METRIC_CONFIG_PATH, 'utf8')));
+    return defaultConfig;
+}
+
+/**
+ * Loads a metric configuration from a JSON file or a JS module exporting it as default.
+ * @param {string} [configPath] defaults to config/metrics.json
+ */
+export async function loadMetricConfig(configPath) {
+    if (!configPath) return getDefaultMetricConfig();
+
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) throw new Error(`Metric config not found: ${configPath}`);
+
+    const config = /\.(c|m)?js$/i.test(resolved)
+        ? (await import(pathToFileURL(resolved).href)).default
+        : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+
+    try {
+        return normalizeMetricConfig(config);
+    } catch (error) {
+        throw new Error(`Invalid metric config ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Validates the series definitions and fills in their defaults.
+ * @param {{ series: object[] }} config
+ */
+export function normalizeMetricConfig(config) {
+    if (!config || !Array.isArray(config.series)) throw new Error('"series" must be an array');
+
+    const ids = new Set();
+    const allIds = new Set(config.series.map(definition => definition.id));
+    // Counters available to the expressions evaluated per bucket
+    const storedIds = new Set();
+    const series = config.series.map((definition, index) => {
+        if (!definition.id) throw new Error(`series #${index + 1} has no "id"`);
+        if (ids.has(definition.id)) throw new Error(`duplicate series id "${definition.id}"`);
+
+        const aggregate = definition.aggregate || (definition.expression ? 'expression' : 'pick');
+        if (!AGGREGATES.includes(aggregate))
+            throw new Error(`series "${definition.id}" has an unknown aggregate "${aggregate}" (${AGGREGATES.join(', ')})`);
+
+        if (aggregate === 'expression' && !definition.expression)
+            throw new Error(`series "${definition.id}" needs an "expression"`);
+        if ((aggregate === 'pick' || aggregate === 'sum') && !definition.columns && !definition.include)
+            throw new Error(`series "${definition.id}" needs "columns" or "include"`);
+
+        // Identifiers resolve to a previous series first, then to a column of the capture
+        const expression = aggregate === 'expression' ? compileExpression(definition.expression) : null;
+
+        // A series defined below (or the series itself) has no value yet when the expression is evaluated
+        const notYetDefined = expression ? expression.identifiers.filter(name => allIds.has(name) && !ids.has(name)) : [];
+        if (notYetDefined.length > 0)
+            throw new Error(`series "${definition.id}" uses series that are not defined before it (${notYetDefined.join(', ')})`);
+
+        const evaluate = aggregate === 'expression' ? definition.evaluate || 'frame' : null;
+        if (evaluate && !EVALUATIONS.includes(evaluate))
+            throw new Error(`series "${definition.id}" has an unknown evaluate "${evaluate}" (${EVALUATIONS.join(', ')})`);
+        const unstored = evaluate === 'bucket' ? expression.identifiers.filter(name => !storedIds.has(name)) : [];
+        if (unstored.length > 0)
+            throw new Error(`series "${definition.id}" is evaluated per bucket, its expression can only use previous stored series (${unstored.join(', ')})`);
+
+        // Rate series count per second over tumbling windows, or sliding ones with a shorter "slide"
+        const windowMs = aggregate === 'rate' ? parseDuration(definition.window ?? RATE_WINDOW_DEFAULT) : null;
+        const slideMs = aggregate === 'rate' && definition.slide !== undefined ? parseDuration(definition.slide) : windowMs;
+        if (aggregate === 'rate' && !(slideMs > 0 && windowMs >= slideMs && windowMs % slideMs === 0))
+            throw new Error(`series "${definition.id}" needs a "window" that is a multiple of its "slide"`);
+
+        ids.add(definition.id);
+        if (definition.store !== false) storedIds.add(definition.id);
+
+        return {
+            label: definition.id,
+            unit: '',
+            axis: 'y',
+            panel: definition.id,
+            sampleEvery: 1,
+            bucket: false,
+            band: true,
+            dedupe: false,
+            store: true,
+            chart: true,
+            ...definition,
+            counter: definition.counter || definition.label || definition.id,
+            shortLabel: definition.shortLabel || definition.label || definition.id,
+            columns: definition.columns || [],
+            include: definition.include || [],
+            exclude: definition.exclude || [],
+            aggregate,
+            expression,
+            evaluate,
+            windowMs,
+            slideMs,
+        };
+    });
+
+    const missing = REQUIRED_SERIES.filter(id => !ids.has(id));
+    if (missing.length > 0) throw new Error(`missing required series: ${missing.join(', ')}`);
+
+    const bucketMs = config.bucket !== undefined ? parseDuration(config.bucket) : undefined;
+    if (config.bucketPercentile !== undefined && !(config.bucketPercentile > 0 && config.bucketPercentile <= 100))
+        throw new Error('"bucketPercentile" must be between 0 and 100');
+
+    const targetTickrates = config.targetTickrates ?? TARGET_TICKRATES_DEFAULT;
+    if (!Array.isArray(targetTickrates) || targetTickrates.some(tickrate => !(tickrate > 0)))
+        throw new Error('"targetTickrates" must be an array of positive numbers');
+
+    return { ...config, bucketMs, series, targetTickrates, breakdown: normalizeBreakdown(config.breakdown), hitches: normalizeHitches(config.hitches), playerScaling: normalizePlayerScaling(config.playerScaling, ids), phases: normalizePhases(config.phases, ids) };
+}
+
+// Columns split into categories for the breakdown chart, the top ones by total are kept apart
+function normalizeBreakdown(breakdown) {
+    if (!breakdown) return null;
+    if (!breakdown.columns && !breakdown.include) throw new Error('"breakdown" needs "columns" or "include"');
+
+    const top = breakdown.top ?? BREAKDOWN_TOP_DEFAULT;
+    if (!Number.isInteger(top) || top < 1) throw new Error('"breakdown.top" must be a positive integer');
+
+    return {
+        label: 'Breakdown',
+        unit: '',
+        ...breakdown,
+        columns: breakdown.columns || [],
+        include: breakdown.include || [],
+        exclude: breakdown.exclude || [],
+        top,
+    };
+}
+
+// Series ids the frames are bucketed by (players) and measured with (gameThread, optional)
+function normalizePlayerScaling(playerScaling, ids) {
+    if (!playerScaling) return null;
+
+    const normalized = { ...PLAYER_SCALING_DEFAULTS, ...playerScaling };
+    if (!Number.isInteger(normalized.bucketSize) || normalized.bucketSize < 1) throw new Error('"playerScaling.bucketSize" must be a positive integer');
+    if (!ids.has(normalized.players)) throw new Error(`"playerScaling.players" refers to an unknown series "${normalized.players}"`);
+    if (normalized.gameThread !== null && !ids.has(normalized.gameThread))
+        throw new Error(`"playerScaling.gameThread" refers to an unknown series "${normalized.gameThread}"`);
+
+    return normalized;
+}
+
+// Player count series and events the match phases are detected from, events match by prefix
+function normalizePhases(phases, ids) {
+    if (!phases) return null;
+
+    const normalized = { ...PHASE_DEFAULTS, ...phases };
+    if (!ids.has(normalized.players)) throw new Error(`"phases.players" refers to an unknown series "${normalized.players}"`);
+    for (const key of [ 'liveEvents', 'endEvents' ])
+        if (!Array.isArray(normalized[ key ]) || normalized[ key ].some(name => typeof name !== 'string')) throw new Error(`"phases.${key}" must be an array of event names`);
+
+    const threshold = normalized.liveThreshold;
+    const valid = typeof threshold === 'string' ? /^\d+(\.\d+)?%$/.test(threshold.trim()) && parseFloat(threshold) > 0 : threshold > 0;
+    if (!valid) throw new Error('"phases.liveThreshold" must be a player count or a percentage of the peak, e.g. "50%"');
+
+    return normalized;
+}
+
+// Frames flagged as hitches, the culprits are the source columns with the highest value on the frame
+function normalizeHitches(hitches) {
+    if (!hitches) return null;
+
+    const normalized = {
+        ...HITCH_DEFAULTS,
+        ...hitches,
+        columns: hitches.columns || [],
+        include: hitches.include || [],
+        exclude: hitches.exclude || [],
+    };
+
+    if (normalized.threshold === null && normalized.medianMultiple === null)
+        throw new Error('"hitches" needs a "threshold" or a "medianMultiple"');
+    if (normalized.threshold !== null && !(normalized.threshold > 0)) throw new Error('"hitches.threshold" must be a positive number (ms) or null');
+    if (normalized.medianMultiple !== null && !(normalized.medianMultiple > 1)) throw new Error('"hitches.medianMultiple" must be above 1 or null');
+    for (const key of [ 'window', 'culprits' ])
+        if (!Number.isInteger(normalized[ key ]) || normalized[ key ] < 1) throw new Error(`"hitches.${key}" must be a positive integer`);
+
+    return normalized;
+}
+
+/**
+ * Resolves the column indices a series reads from, for a given header row.
+ * @param {object} series normalized series definition, the breakdown or the hitches
+ * @param {string[]} headers
+ * @returns {number[]}
+ */
+export function resolveSeriesColumns(series, headers) {
+    const indices = [];
+
+    series.columns.forEach(column => {
+        const index = headers.indexOf(column);
+        if (index !== -1) indices.push(index);
+    });
+
+    headers.forEach((header, index) => {
+        if (!series.include.some(prefix => header.startsWith(prefix))) return;
+        if (series.exclude.some(prefix => header.startsWith(prefix))) return;
+        if (!indices.includes(index)) indices.push(index);
+    });
+
+    return indices;
+}
+
+export function getSeriesById(config, id) {
+    return config.series.find(series => series.id === id);
+}
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { createCanvas } from 'canvas';
+
+const PAGE_WIDTH = 1920;
+const PAGE_HEIGHT = 1080;
+
+/**
+ * A single PDF holding one chart per page, e.g. every file of a batch.
+ * Pages share one size; charts are vectors, so long matches stay readable when zoomed in.
+ */
+export default class PdfChartDocument {
+    #canvas
+    #chart = null
+    #titles = []
+
+    constructor(width = PAGE_WIDTH, height = PAGE_HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.#canvas = createCanvas(width, height, 'pdf');
+    }
+
+    get pageCount() {
+        return this.#titles.length;
+    }
+
+    /**
+     * @param {string} title
+     * @param {(canvas, width: number, height: number) => Chart} render draws the chart on the page canvas
+     */
+    addChart(title, render) {
+        if (this.pageCount > 0) this.#canvas.getContext('2d').addPage(this.width, this.height);
+
+        // A canvas only takes one chart at a time, destroying clears the page so it happens after addPage
+        this.#chart?.destroy();
+        this.#chart = render(this.#canvas, this.width, this.height);
+        this.#titles.push(title);
+    }
+
+    save(outputPath) {
+        if (this.pageCount === 0) throw new Error('No chart to write in the PDF document');
+
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, this.#canvas.toBuffer('application/pdf', {
+            title: this.#titles.length === 1 ? this.#titles[ 0 ] : `${this.#titles.length} charts`,
+            subject: this.#titles.join(', ')
+        }));
+
+        return outputPath;
+    }
+}
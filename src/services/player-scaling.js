@@ -0,0 +1,135 @@
+import RunningStats from './running-stats.js';
+
+// Frames are averaged over this much match time for the scatter points
+const SCATTER_WINDOW_MS = 1000;
+
+/**
+ * Frame time, tick rate and GameThread time per player count bucket (0-9, 10-19, ...),
+ * with a least-squares fit of the frame time against the player count over every frame.
+ */
+export default class PlayerScalingAnalysis {
+    #buckets = new Map()
+    #fit = { count: 0, x: 0, y: 0, xy: 0, xx: 0, yy: 0 }
+    #window = null
+    #points = []
+
+    /**
+     * @param {number} [bucketSize] players per bucket
+     */
+    constructor(bucketSize = 10) {
+        this.bucketSize = bucketSize;
+    }
+
+    /**
+     * @param {number} time match time of the frame (ms)
+     * @param {number} players
+     * @param {number} frameTime
+     * @param {number} [gameThread] GameThread time of the frame (ms)
+     */
+    add(time, players, frameTime, gameThread) {
+        const index = Math.floor(players / this.bucketSize);
+        if (!this.#buckets.has(index))
+            this.#buckets.set(index, { frameTime: new RunningStats({ quantiles: true }), gameThread: new RunningStats({ quantiles: true }) });
+
+        const bucket = this.#buckets.get(index);
+        bucket.frameTime.add(frameTime);
+        if (isFinite(gameThread)) bucket.gameThread.add(gameThread);
+
+        const fit = this.#fit;
+        fit.count++;
+        fit.x += players;
+        fit.y += frameTime;
+        fit.xy += players * frameTime;
+        fit.xx += players * players;
+        fit.yy += frameTime * frameTime;
+
+        this.#addToWindow(time, players, frameTime);
+    }
+
+    #addToWindow(time, players, frameTime) {
+        const windowStart = Math.floor(time / SCATTER_WINDOW_MS) * SCATTER_WINDOW_MS;
+        if (this.#window && this.#window.start !== windowStart) {
+            this.#points.push(this.#getWindowPoint());
+            this.#window = null;
+        }
+        if (!this.#window) this.#window = { start: windowStart, count: 0, players: 0, frameTime: 0 };
+
+        this.#window.count++;
+        this.#window.players += players;
+        this.#window.frameTime += frameTime;
+    }
+
+    #getWindowPoint() {
+        const { count, players, frameTime } = this.#window;
+        return { x: players / count, y: frameTime / count };
+    }
+
+    // Mean player count and frame time of every second of the match, for the scatter chart
+    getPoints() {
+        return this.#window ? [ ...this.#points, this.#getWindowPoint() ] : this.#points;
+    }
+
+    /**
+     * Frame time = slope * players + intercept, r2 being the share of the frame time variance it explains.
+     * @returns {{ slope: number, intercept: number, r2: number } | null} null without a spread of player counts
+     */
+    getTrend() {
+        const { count, x, y, xy, xx, yy } = this.#fit;
+        const varianceX = count * xx - x * x;
+        if (count < 2 || varianceX <= 0) return null;
+
+        const slope = (count * xy - x * y) / varianceX;
+        const intercept = (y - slope * x) / count;
+        const varianceY = count * yy - y * y;
+        const r2 = varianceY > 0 ? Math.pow(count * xy - x * y, 2) / (varianceX * varianceY) : 0;
+
+        return { slope, intercept, r2 };
+    }
+
+    getBuckets() {
+        return [ ...this.#buckets.entries() ]
+            .sort(([ a ], [ b ]) => a - b)
+            .map(([ index, { frameTime, gameThread } ]) => ({
+                players: `${index * this.bucketSize}-${(index + 1) * this.bucketSize - 1}`,
+                minPlayers: index * this.bucketSize,
+                maxPlayers: (index + 1) * this.bucketSize - 1,
+                frames: frameTime.count,
+                duration: frameTime.sum,
+                frameTime: { mean: frameTime.mean, p95: frameTime.percentile(95) },
+                // Frames per second of match time spent in the bucket
+                tps: frameTime.sum > 0 ? frameTime.count * 1000 / frameTime.sum : 0,
+                gameThread: gameThread.count > 0 ? { mean: gameThread.mean, p95: gameThread.percentile(95) } : null
+            }));
+    }
+
+    get frameCount() {
+        return this.#fit.count;
+    }
+
+    toJSON() {
+        return { bucketSize: this.bucketSize, buckets: this.getBuckets(), trend: this.getTrend() };
+    }
+
+    // Whole state, unlike toJSON which only has the results, see fromCache
+    toCache() {
+        return {
+            bucketSize: this.bucketSize,
+            buckets: [ ...this.#buckets ].map(([ index, { frameTime, gameThread } ]) => [ index, frameTime.toJSON(), gameThread.toJSON() ]),
+            fit: this.#fit,
+            window: this.#window,
+            points: this.#points
+        };
+    }
+
+    static fromCache(cache) {
+        const analysis = new PlayerScalingAnalysis(cache.bucketSize);
+        cache.buckets.forEach(([ index, frameTime, gameThread ]) => analysis.#buckets.set(index, {
+            frameTime: RunningStats.fromJSON(frameTime),
+            gameThread: RunningStats.fromJSON(gameThread)
+        }));
+        analysis.#fit = { ...cache.fit };
+        analysis.#window = cache.window;
+        analysis.#points = cache.points;
+        return analysis;
+    }
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Under the output directory, next to the stats JSON
+export const CACHE_DIR_NAME = '.cache';
+// Bumped whenever the processor state written in the cache changes
+const CACHE_VERSION = 8;
+
+function hash(value) {
+    return createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+// One cache entry per source file and time window, "<file name>.<hash>.json" and ".bin"
+function getCacheBasePath(cacheDir, filePath, window) {
+    const source = path.resolve(filePath);
+    return path.join(cacheDir, `${path.basename(source)}.${hash({ source, window }).slice(0, 12)}`);
+}
+
+/**
+ * What a cache entry depends on: the source file, unchanged while its size and mtime are,
+ * and the settings it was processed with.
+ * @param {string} filePath
+ * @param {object} options
+ * @param {object} options.metricConfig normalized metric configuration
+ * @param {number} [options.bucketMs]
+ * @param {{from?: number, to?: number}} [options.window]
+ */
+function getCacheKey(filePath, { metricConfig, bucketMs, window }) {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    return {
+        version: CACHE_VERSION,
+        size,
+        mtimeMs,
+        // Compiled expressions serialize as their source
+        settings: hash({ metricConfig, bucketMs: bucketMs ?? null, window: window ?? null })
+    };
+}
+
+/**
+ * @param {string} cacheDir
+ * @param {string} filePath source profile
+ * @param {object} options see getCacheKey
+ * @returns {{ state: object, dataStore: Buffer } | null} null when there is no entry or it is out of date
+ */
+export function readProfileCache(cacheDir, filePath, options) {
+    const basePath = getCacheBasePath(cacheDir, filePath, options.window);
+    if (!fs.existsSync(`${basePath}.json`) || !fs.existsSync(`${basePath}.bin`)) return null;
+
+    try {
+        const { key, state } = JSON.parse(fs.readFileSync(`${basePath}.json`, 'utf8'));
+        const expected = getCacheKey(filePath, options);
+        if (Object.keys(expected).some(name => key?.[ name ] !== expected[ name ])) return null;
+
+        return { state, dataStore: fs.readFileSync(`${basePath}.bin`) };
+    } catch (error) {
+        console.warn(`⚠️  Ignoring the unreadable cache of ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * @param {string} cacheDir
+ * @param {string} filePath source profile
+ * @param {{ state: object, dataStore: Buffer }} cache see CsvProfileProcessor.toCache
+ * @param {object} options see getCacheKey
+ */
+export function writeProfileCache(cacheDir, filePath, cache, options) {
+    const basePath = getCacheBasePath(cacheDir, filePath, options.window);
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    // The data is written first, an entry is only valid once its JSON exists
+    fs.rmSync(`${basePath}.json`, { force: true });
+    fs.writeFileSync(`${basePath}.bin`, cache.dataStore);
+    fs.writeFileSync(`${basePath}.json`, JSON.stringify({ key: getCacheKey(filePath, options), state: cache.state }));
+}
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { PHASE_NAMES } from './match-phases.js';
+
+const PROFILE_EXTENSIONS = [ '.csv', '.csv.bin' ];
+const PROFILE_EXTENSION_REGEX = /\.csv(\.bin)?$/i;
+
+export const STATS_SUFFIX = '.ratios.json';
+const CHART_TYPE_SUFFIXES = {
+    timeline: '_readable-chart',
+    breakdown: '_gamethread-breakdown',
+    distribution: '_frametime-distribution',
+    scaling: '_player-scaling',
+};
+export const CHART_TYPES = Object.keys(CHART_TYPE_SUFFIXES);
+export const CHART_FORMATS = [ 'png', 'svg', 'pdf', 'html' ];
+
+export function getChartSuffix(type, format) {
+    return `${CHART_TYPE_SUFFIXES[ type ]}.${format}`;
+}
+
+export const CHART_SUFFIX = getChartSuffix('timeline', 'png');
+export const OVERLAY_CHART_SUFFIX = '_overlay-chart.png';
+export const DISTRIBUTION_CHART_SUFFIX = '_distribution-chart.png';
+
+// "png,html" -> [ 'png', 'html' ]
+function parseList(value, allowed, name) {
+    const items = [ ...new Set(String(value).split(',').map(f => f.trim().toLowerCase()).filter(Boolean)) ];
+    const unknown = items.filter(f => !allowed.includes(f));
+    if (items.length === 0 || unknown.length > 0)
+        throw new Error(`Invalid ${name} "${unknown[ 0 ] ?? value}", expected a comma separated list of: ${allowed.join(', ')}`);
+    return items;
+}
+
+export function parseChartFormats(value) {
+    return parseList(value, CHART_FORMATS, 'chart format');
+}
+
+export function parseChartTypes(value) {
+    return parseList(value, CHART_TYPES, 'chart type');
+}
+
+// "UE5/Narva_AAS_v1.live.ratios.json" -> 'live', null for the stats of a whole capture
+export function getStatsPhase(file) {
+    const phase = file.slice(0, -STATS_SUFFIX.length).split('.').pop();
+    return PHASE_NAMES.includes(phase) ? phase : null;
+}
+
+export function getOutputBasename(file) {
+    return file.replace(PROFILE_EXTENSION_REGEX, '');
+}
+
+export function isBinaryProfile(file) {
+    return file.toLowerCase().endsWith('.csv.bin');
+}
+
+// Returns every profile capture under inputDir, relative to it and using '/' separators
+export function findProfileFiles(inputDir) {
+    if (!fs.existsSync(inputDir)) throw new Error(`Input directory not found: ${inputDir}`);
+
+    return fs.readdirSync(inputDir, { recursive: true })
+        .map(f => f.split(path.sep).join('/'))
+        .filter(f => PROFILE_EXTENSIONS.some(ext => f.toLowerCase().endsWith(ext)))
+        .sort();
+}
+
+export function isGlobPattern(pattern) {
+    return /[*?[\]{}]/.test(pattern);
+}
+
+export function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[ i ];
+        if (char === '*') {
+            if (pattern[ i + 1 ] === '*') {
+                // '**/' matches any number of directories, including none
+                const slash = pattern[ i + 2 ] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const options = pattern.slice(i + 1, end).split(',').map(o => o.replace(/[.+^${}()|[\]\\]/g, '\\$&'));
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^') + ']';
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Resolves CLI selectors against the files found in inputDir.
+ * A selector can be a 1-based file number (as printed by `list`), a glob or a path.
+ * @param {string} inputDir
+ * @param {string[]} files
+ * @param {string[]} selectors
+ * @returns {string[]}
+ */
+export function selectProfileFiles(inputDir, files, selectors) {
+    if (!selectors || selectors.length === 0) return files;
+
+    const selected = new Set();
+    for (const selector of selectors) {
+        const matches = matchSelector(inputDir, files, selector);
+        if (matches.length === 0) throw new Error(`No profile file matches "${selector}"`);
+        matches.forEach(f => selected.add(f));
+    }
+
+    return files.filter(f => selected.has(f));
+}
+
+function matchSelector(inputDir, files, selector) {
+    if (/^\d+$/.test(selector)) {
+        const file = files[ parseInt(selector) - 1 ];
+        return file ? [ file ] : [];
+    }
+
+    // Paths are accepted relative to the input directory or to the working directory
+    const normalized = selector.split(path.sep).join('/');
+    const relativeToInput = path.relative(inputDir, path.resolve(selector)).split(path.sep).join('/');
+
+    if (isGlobPattern(normalized)) {
+        const regex = globToRegExp(normalized);
+        const cwdRegex = globToRegExp(relativeToInput);
+        return files.filter(f => regex.test(f) || cwdRegex.test(f));
+    }
+
+    return files.filter(f => f === normalized || f === relativeToInput);
+}
@@ -0,0 +1,423 @@
+import fs from 'fs';
+import path from 'path';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { createCanvas } from 'canvas';
+import { CsvProfileProcessor } from '../../scripts/multi-file-chart.js';
+import ChartGenerator from './chart-generator.js';
+import BreakdownChartGenerator from './breakdown-chart-generator.js';
+import DistributionChartGenerator from './distribution-chart-generator.js';
+import ScalingChartGenerator from './scaling-chart-generator.js';
+import { formatTime } from './chart-formatters.js';
+import { getTopHitches } from './hitch-detector.js';
+import { getDefaultMetricConfig, getSeriesById } from './metric-config.js';
+import QuantileSketch from './quantile-sketch.js';
+import { CACHE_DIR_NAME, readProfileCache, writeProfileCache } from './profile-cache.js';
+import CsvBinReader from './csv-bin-reader.js';
+import { buildInteractiveChartHtml } from './interactive-chart.js';
+import PdfChartDocument from './pdf-chart-document.js';
+import { DISTRIBUTION_CHART_SUFFIX, OVERLAY_CHART_SUFFIX, STATS_SUFFIX, getChartSuffix, getOutputBasename, isBinaryProfile } from './profile-files.js';
+
+const CHART_HEIGHT = 1080;
+// Distributions and scaling charts have no time axis, they keep the same size whatever the match duration
+const DISTRIBUTION_CHART_WIDTH = 1920;
+
+// node-canvas surface per drawn format, png is the default raster one
+const CANVAS_TYPES = {
+    png: undefined,
+    svg: 'svg',
+    pdf: 'pdf',
+};
+
+/**
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {{from?: number, to?: number}} [options.window] match time slice to analyse (ms)
+ * @param {string} [options.cacheDir] reuses the processed data cached there while the source is unchanged
+ */
+export async function readProfile(filePath, options = {}) {
+    const [ processor ] = await readProfileSlices(filePath, [ options.window ], options);
+    return processor;
+}
+
+/**
+ * Reads a profile once for several time windows, one processor per window.
+ * @param {string} filePath
+ * @param {({from?: number, to?: number}|undefined)[]} windows undefined analyses the whole capture
+ * @param {object} [options] see readProfile
+ * @returns {Promise<CsvProfileProcessor[]>}
+ */
+export async function readProfileSlices(filePath, windows, options = {}) {
+    const metricConfig = options.metricConfig || getDefaultMetricConfig();
+    const settings = windows.map(window => ({ metricConfig, bucketMs: options.bucketMs, window: window && { from: window.from, to: window.to } }));
+
+    const processors = settings.map(windowOptions => {
+        const cache = options.cacheDir && readProfileCache(options.cacheDir, filePath, windowOptions);
+        return cache ? CsvProfileProcessor.fromCache(cache, windowOptions) : new CsvProfileProcessor(windowOptions);
+    });
+
+    // Only the windows without a cache entry are read
+    const pending = processors.filter(processor => !processor.cached);
+    if (pending.length === 0) return processors;
+
+    if (isBinaryProfile(filePath)) {
+        CsvBinReader.fromFile(filePath).feed(...pending);
+    } else {
+        const fileStream = createReadStream(filePath);
+        const rl = createInterface({ input: fileStream, crlfDelay: Infinity });
+
+        for await (const line of rl) {
+            pending.forEach(processor => processor.processLine(line));
+        }
+    }
+
+    // Every window reads the same columns, warned about once
+    pending[ 0 ].getMissingColumns().forEach(({ id, names }) => {
+        console.warn(`⚠️  No ${names.join(', ')} column in ${path.basename(filePath)}, the "${id}" series has no value`);
+    });
+
+    if (options.cacheDir) processors.forEach((processor, index) => {
+        if (!processor.cached) writeProfileCache(options.cacheDir, filePath, processor.toCache(), settings[ index ]);
+    });
+
+    return processors;
+}
+
+/**
+ * Processes a single profile file and writes its outputs.
+ * @param {string} inputDir
+ * @param {string} selectedFile path relative to inputDir
+ * @param {object} [options]
+ * @param {string} [options.outputDir]
+ * @param {boolean} [options.chart] render the chart, stats only when false
+ * @param {string[]} [options.formats] chart formats, see CHART_FORMATS (default: png)
+ * @param {string[]} [options.types] chart types, see CHART_TYPES (default: timeline)
+ * @param {string} [options.layout] chart layout, see CHART_LAYOUTS (default: shared)
+ * @param {object} [options.theme] normalized chart theme, defaults to config/theme.json
+ * @param {PdfChartDocument} [options.pdfDocument] also adds the chart as a page of this document
+ * @param {object} [options.metricConfig] normalized metric configuration, defaults to config/metrics.json
+ * @param {number} [options.bucketMs] aggregation bucket size, overrides the metric configuration
+ * @param {{from?: number, to?: number}} [options.window] only analyses this slice of the match (ms)
+ * @param {boolean} [options.phases] also writes the stats and charts of every match phase, see match-phases.js
+ * @param {boolean} [options.cache] reuses and updates the processed data cached in <outputDir>/.cache (default: true)
+ * @param {boolean} [options.showSummary]
+ */
+export async function processProfileFile(inputDir, selectedFile, options = {}) {
+    const { outputDir = './output', chart = true, showSummary = true, formats = [ 'png' ], types = [ 'timeline' ], layout, theme } = options;
+    const basename = getOutputBasename(selectedFile);
+    const filePath = path.join(inputDir, selectedFile);
+    const readOptions = { ...options, cacheDir: options.cache !== false ? path.join(outputDir, CACHE_DIR_NAME) : undefined };
+
+    if (showSummary) {
+        console.log(`🔄 Processing: ${selectedFile}`);
+        if (chart) console.log('⚡ Generating chart...\n');
+    }
+
+    const processor = await readProfile(filePath, readOptions);
+
+    if (showSummary) console.log(processor.cached ? `♻️  Reused the cached data of ${selectedFile}\n` : '\n');
+
+    let phaseProcessors = [];
+    const phases = options.phases ? processor.getPhases() : [];
+    if (options.phases) {
+        if (phases.length > 0) phaseProcessors = await readProfileSlices(filePath, phases, readOptions);
+        else console.warn(`⚠️  No live phase found in ${selectedFile} (see "phases" in the metric config), only the whole capture is analysed`);
+    }
+
+    const outputOptions = { ...options, outputDir, chart, formats, types, layout, theme, showSummary };
+    const { outputPaths, statsPath, stats } = await writeProfileOutputs(processor, filePath, basename, {
+        ...outputOptions,
+        stats: options.phases ? { phases } : {}
+    });
+
+    for (let i = 0; i < phaseProcessors.length; i++) {
+        const phase = phases[ i ];
+        const phaseOutputs = await writeProfileOutputs(phaseProcessors[ i ], filePath, `${basename}.${phase.name}`, { ...outputOptions, stats: { phase: phase.name } });
+        outputPaths.push(...phaseOutputs.outputPaths);
+        if (showSummary) console.log(`📄 ${phase.name} (${formatTime(phase.from)} - ${formatTime(phase.to)}) stats saved to: ${phaseOutputs.statsPath}`);
+    }
+
+    if (showSummary) {
+        if (chart) {
+            console.log('✅ chart generated successfully!');
+            outputPaths.forEach(outputPath => console.log(`📊 Chart saved to: ${outputPath}`));
+        }
+        console.log(`📄 Stats saved to: ${statsPath}`);
+        if (stats.hitches) printTopHitches(stats.hitches);
+    }
+
+    return {
+        file: selectedFile,
+        outputPath: outputPaths[ 0 ] || null,
+        outputPaths,
+        statsPath,
+    };
+}
+
+// Charts and stats JSON of one processed slice of a profile, see processProfileFile
+async function writeProfileOutputs(processor, filePath, basename, options) {
+    const { outputDir, chart, formats, types, layout, theme, showSummary } = options;
+    const dataStore = processor.getDataStore();
+
+    const statsPath = path.join(outputDir, `${basename}${STATS_SUFFIX}`);
+    fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+
+    let outputPaths = [];
+    if (chart) {
+        if (showSummary) console.log(`🎨 Generating ${basename} chart...`);
+        const chartTypes = getChartTypes(processor, types);
+        outputPaths = await generateChart(processor, dataStore, basename, outputDir, { formats, types: chartTypes, layout, theme });
+        chartTypes.forEach(type => {
+            options.pdfDocument?.addChart(`${basename} ${type}`, (canvas, width, height) =>
+                createChartGenerator(type, canvas, width, height, processor, dataStore, { basename, layout, theme }));
+        });
+    }
+
+    // The source is kept so comparisons can read the whole run again, e.g. for overlay charts
+    const stats = { ...processor.finalizeGeneralStats(), ...options.stats, source: path.resolve(filePath) };
+    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
+
+    return { outputPaths, statsPath, stats };
+}
+
+function printTopHitches(hitches) {
+    console.log(`\n⚠️  ${hitches.length} hitch(es)${hitches.length > 0 ? ', the longest:' : ''}`);
+    getTopHitches(hitches).forEach(hitch => {
+        const culprits = hitch.culprits.map(culprit => `${culprit.name} ${culprit.value.toFixed(1)} ms`).join(', ');
+        console.log(`   ${formatTime(hitch.time).padStart(6)}  ${hitch.duration.toFixed(1).padStart(7)} ms  ${culprits}`);
+    });
+}
+
+/**
+ * Processes files one after the other, collecting failures instead of stopping at the first one.
+ * @param {string} inputDir
+ * @param {string[]} files
+ * @param {object} [options] see processProfileFile
+ * @param {string} [options.combinedPdf] writes every chart of the batch in this PDF, one page per file
+ */
+export async function processProfileFiles(inputDir, files, options = {}) {
+    console.log('🔄 Starting batch processing...\n');
+
+    const results = [];
+    const pdfDocument = options.combinedPdf && options.chart !== false ? new PdfChartDocument() : undefined;
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[ i ];
+        console.log(`📊 [${i + 1}/${files.length}] Processing: ${file}`);
+
+        try {
+            const result = await processProfileFile(inputDir, file, { ...options, pdfDocument, showSummary: false });
+            results.push(result);
+            console.log(`✅ [${i + 1}/${files.length}] Completed: ${result.outputPaths.length > 0 ? result.outputPaths.join(', ') : result.statsPath}`);
+        } catch (error) {
+            console.error(`❌ [${i + 1}/${files.length}] Failed: ${file} - ${error.message}`);
+            results.push({ file, error: error.message });
+        }
+
+        if (i < files.length - 1) console.log(''); // Add spacing between files
+    }
+
+    if (pdfDocument?.pageCount > 0) {
+        pdfDocument.save(options.combinedPdf);
+        console.log(`\n📚 ${pdfDocument.pageCount} chart(s) saved to: ${options.combinedPdf}`);
+    }
+
+    return results;
+}
+
+// Longer matches get a wider chart, within 1920-4320px
+function getChartWidth(matchDuration) {
+    const maxWidth = 4320;
+    const minWidth = 1920;
+    return Math.min(Math.max(minWidth, Math.floor(matchDuration / 5000000 * maxWidth)), maxWidth);
+}
+
+// Without a canvas the generator only builds its configuration, see buildInteractiveChartHtml
+function createChartGenerator(type, canvas, width, height, processor, dataStore, options) {
+    const chartOptions = {
+        ...options,
+        metadata: processor.metadata,
+        metricConfig: processor.getMetricConfig()
+    };
+
+    switch (type) {
+        case 'breakdown':
+            return new BreakdownChartGenerator(canvas, width, height, processor.getBreakdown(), chartOptions);
+        case 'distribution':
+            return new DistributionChartGenerator(canvas, width, height, [ { sketch: processor.getFrameTimeSketch() } ], {
+                ...chartOptions,
+                targetTickrates: chartOptions.metricConfig.targetTickrates
+            });
+        case 'scaling':
+            return new ScalingChartGenerator(canvas, width, height, processor.getPlayerScaling(), {
+                ...chartOptions,
+                targetTickrates: chartOptions.metricConfig.targetTickrates
+            });
+        default:
+            return new ChartGenerator(canvas, width, height, dataStore, chartOptions);
+    }
+}
+
+// Drops the chart types the capture has nothing to draw for
+function getChartTypes(processor, types) {
+    return types.filter(type => {
+        if (type === 'distribution') {
+            if (processor.getFrameTimeSketch()?.count > 0) return true;
+            console.warn('⚠️  No frame time found in the capture, skipping the distribution chart');
+            return false;
+        }
+
+        if (type === 'scaling') {
+            if (processor.getPlayerScaling()) return true;
+            console.warn('⚠️  No player count found in the capture (see "playerScaling" in the metric config), skipping the scaling chart');
+            return false;
+        }
+
+        if (type !== 'breakdown') return true;
+
+        const breakdown = processor.getBreakdown();
+        if (breakdown && breakdown.categories.length > 0) return true;
+        console.warn('⚠️  No breakdown columns found in the capture (see "breakdown" in the metric config), skipping the breakdown chart');
+        return false;
+    });
+}
+
+function getChartTypeWidth(type, processor) {
+    return type === 'distribution' || type === 'scaling' ? DISTRIBUTION_CHART_WIDTH : getChartWidth(processor.duration);
+}
+
+/**
+ * Renders the charts of a processed profile in every requested type and format.
+ * @param {object} [options]
+ * @param {string[]} [options.formats] see CHART_FORMATS (default: png)
+ * @param {string[]} [options.types] see CHART_TYPES (default: timeline), each one must have data to draw
+ * @param {string} [options.layout] timeline layout, see CHART_LAYOUTS
+ * @param {object} [options.theme] see chart-theme.js
+ * @returns {Promise<string[]>} written file paths
+ */
+export async function generateChart(processor, dataStore, basename, outputDir = './output', options = {}) {
+    const { formats = [ 'png' ], types = [ 'timeline' ], layout, theme } = options;
+    const height = CHART_HEIGHT;
+    const chartOptions = { basename, layout, theme };
+
+    const outputPaths = [];
+    const getOutputPath = (type, format) => {
+        const outputPath = path.join(outputDir, `${basename}${getChartSuffix(type, format)}`);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        outputPaths.push(outputPath);
+        return outputPath;
+    };
+
+    types.forEach(type => {
+        const width = getChartTypeWidth(type, processor);
+        formats.filter(format => format in CANVAS_TYPES).forEach(format => {
+            const canvas = createCanvas(width, height, CANVAS_TYPES[ format ]);
+            createChartGenerator(type, canvas, width, height, processor, dataStore, chartOptions);
+
+            // Save chart, vector surfaces serialize without a mime type
+            const buffer = format === 'png' ? canvas.toBuffer('image/png') : canvas.toBuffer();
+            fs.writeFileSync(getOutputPath(type, format), buffer);
+        });
+
+        if (formats.includes('html')) {
+            // Same configuration as the PNG with every point, the page can be zoomed in
+            const generator = createChartGenerator(type, null, width, height, processor, dataStore, { ...chartOptions, maxPoints: null });
+            fs.writeFileSync(getOutputPath(type, 'html'), buildInteractiveChartHtml(generator, basename));
+        }
+    });
+
+    return outputPaths;
+}
+
+/**
+ * Draws the baseline and candidates of a comparison group on one time axis.
+ * The runs are read again from the source recorded in their stats JSON.
+ * @param {object} group comparison group from compareOutputStats
+ * @param {string} outputDir
+ * @param {object} [options]
+ * @param {{kind: string, threshold?: number}} [options.align] see parseOverlayAlignment
+ * @param {string} [options.layout] see CHART_LAYOUTS
+ * @param {object} [options.theme] see chart-theme.js
+ * @param {object} [options.metricConfig]
+ * @param {number} [options.bucketMs]
+ * @param {boolean} [options.cache] reuses and updates the processed data cached in <outputDir>/.cache (default: true)
+ * @returns {Promise<string|null>} chart path, null when a source is missing
+ */
+export async function generateOverlayChart(group, outputDir = './output', options = {}) {
+    const runs = [ group.baseline, ...group.candidates ];
+    const missing = runs.find(run => !run.stats.source || !fs.existsSync(run.stats.source));
+    if (missing) {
+        console.warn(`⚠️  ${group.name}: source of ${missing.name} not found, regenerate its stats to get the overlay chart`);
+        return null;
+    }
+
+    const processors = [];
+    // Phase and sliced stats only cover their window of the source
+    const cacheDir = options.cache !== false ? path.join(outputDir, CACHE_DIR_NAME) : undefined;
+    for (const run of runs) processors.push(await readProfile(run.stats.source, { ...options, cacheDir, window: run.stats.window }));
+
+    const loadedRuns = processors.map((processor, index) => ({
+        label: runs[ index ].name.slice(0, -STATS_SUFFIX.length),
+        data: processor.getDataStore()
+    }));
+
+    const width = getChartWidth(Math.max(...processors.map(processor => processor.duration)));
+    const height = CHART_HEIGHT;
+    const canvas = createCanvas(width, height);
+    new ChartGenerator(canvas, width, height, loadedRuns, {
+        basename: group.name,
+        title: `${group.name} - ${loadedRuns.map(run => run.label).join(' vs ')}`,
+        metricConfig: processors[ 0 ].getMetricConfig(),
+        align: options.align,
+        layout: options.layout,
+        theme: options.theme
+    });
+
+    const outputPath = path.join(outputDir, `${group.fileName}${OVERLAY_CHART_SUFFIX}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+
+    return outputPath;
+}
+
+/**
+ * Overlays the frame time distributions of the baseline and candidates of a comparison group.
+ * Unlike the overlay chart it only needs the sketches saved in the stats JSON.
+ * @param {object} group comparison group from compareOutputStats
+ * @param {string} outputDir
+ * @param {object} [options]
+ * @param {object} [options.metricConfig] gives the frame time column and the target tick rates
+ * @param {object} [options.theme] see chart-theme.js
+ * @returns {string|null} chart path, null when a run has no frame time distribution
+ */
+export function generateDistributionChart(group, outputDir = './output', options = {}) {
+    const metricConfig = options.metricConfig || getDefaultMetricConfig();
+    const column = getSeriesById(metricConfig, 'frameTime').columns[ 0 ];
+    const runs = [ group.baseline, ...group.candidates ];
+
+    const missing = runs.find(run => !run.stats.distributions?.[ column ]?.sketch);
+    if (missing) {
+        console.warn(`⚠️  ${group.name}: no ${column} distribution in ${missing.name}, regenerate its stats to get the distribution chart`);
+        return null;
+    }
+
+    const width = DISTRIBUTION_CHART_WIDTH;
+    const height = CHART_HEIGHT;
+    const canvas = createCanvas(width, height);
+    const labels = runs.map(run => run.name.slice(0, -STATS_SUFFIX.length));
+    new DistributionChartGenerator(canvas, width, height, runs.map((run, index) => ({
+        label: labels[ index ],
+        sketch: QuantileSketch.fromJSON(run.stats.distributions[ column ].sketch)
+    })), {
+        basename: group.name,
+        title: `${group.name} - Frame time distribution, ${labels.join(' vs ')}`,
+        targetTickrates: metricConfig.targetTickrates,
+        theme: options.theme
+    });
+
+    const outputPath = path.join(outputDir, `${group.fileName}${DISTRIBUTION_CHART_SUFFIX}`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+
+    return outputPath;
+}
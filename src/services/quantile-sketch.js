@@ -0,0 +1,121 @@
+const RELATIVE_ACCURACY_DEFAULT = 0.01;
+const MAX_BINS_DEFAULT = 2048;
+
+/**
+ * Streaming quantile sketch with bounded memory (logarithmic bins, DDSketch style).
+ * Quantiles are returned with a relative error of `relativeAccuracy`, whatever the capture length.
+ */
+export default class QuantileSketch {
+    #gamma
+    #logGamma
+
+    constructor(relativeAccuracy = RELATIVE_ACCURACY_DEFAULT, maxBins = MAX_BINS_DEFAULT) {
+        this.relativeAccuracy = relativeAccuracy;
+        this.maxBins = maxBins;
+        this.#gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+        this.#logGamma = Math.log(this.#gamma);
+
+        this.positive = new Map();
+        this.negative = new Map();
+        this.zeroCount = 0;
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    add(value, weight = 1) {
+        if (value > 0) {
+            this.#addToBins(this.positive, value, weight);
+        } else if (value < 0) {
+            this.#addToBins(this.negative, -value, weight);
+        } else {
+            this.zeroCount += weight;
+        }
+
+        this.count += weight;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+    }
+
+    #addToBins(bins, value, weight) {
+        const index = Math.ceil(Math.log(value) / this.#logGamma);
+        bins.set(index, (bins.get(index) || 0) + weight);
+        if (bins.size > this.maxBins) this.#collapseLowestBins(bins);
+    }
+
+    // Merges the two smallest magnitude bins, losing accuracy only on values close to zero
+    #collapseLowestBins(bins) {
+        const [ lowest, next ] = [ ...bins.keys() ].sort((a, b) => a - b);
+        bins.set(next, bins.get(next) + bins.get(lowest));
+        bins.delete(lowest);
+    }
+
+    #binValue(index) {
+        return 2 * Math.pow(this.#gamma, index) / (this.#gamma + 1);
+    }
+
+    /**
+     * Ordered [value, count] pairs of every bin, from the lowest to the highest value
+     * @returns {[number, number][]}
+     */
+    getBins() {
+        const negative = [ ...this.negative.entries() ]
+            .sort((a, b) => b[ 0 ] - a[ 0 ])
+            .map(([ index, count ]) => [ -this.#binValue(index), count ]);
+        const positive = [ ...this.positive.entries() ]
+            .sort((a, b) => a[ 0 ] - b[ 0 ])
+            .map(([ index, count ]) => [ this.#binValue(index), count ]);
+
+        return [ ...negative, ...(this.zeroCount > 0 ? [ [ 0, this.zeroCount ] ] : []), ...positive ];
+    }
+
+    /**
+     * @param {number} q quantile between 0 and 1
+     */
+    quantile(q) {
+        if (this.count === 0) return undefined;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        const rank = q * (this.count - 1);
+        let seen = 0;
+        for (const [ value, count ] of this.getBins()) {
+            seen += count;
+            if (seen > rank) return Math.min(Math.max(value, this.min), this.max);
+        }
+        return this.max;
+    }
+
+    merge(other) {
+        other.positive.forEach((count, index) => this.positive.set(index, (this.positive.get(index) || 0) + count));
+        other.negative.forEach((count, index) => this.negative.set(index, (this.negative.get(index) || 0) + count));
+        this.zeroCount += other.zeroCount;
+        this.count += other.count;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    toJSON() {
+        return {
+            relativeAccuracy: this.relativeAccuracy,
+            count: this.count,
+            min: this.min,
+            max: this.max,
+            zeroCount: this.zeroCount,
+            positive: Object.fromEntries(this.positive),
+            negative: Object.fromEntries(this.negative)
+        };
+    }
+
+    static fromJSON(json) {
+        const sketch = new QuantileSketch(json.relativeAccuracy);
+        Object.entries(json.positive || {}).forEach(([ index, count ]) => sketch.positive.set(+index, count));
+        Object.entries(json.negative || {}).forEach(([ index, count ]) => sketch.negative.set(+index, count));
+        sketch.zeroCount = json.zeroCount || 0;
+        sketch.count = json.count || 0;
+        sketch.min = json.min ?? Infinity;
+        sketch.max = json.max ?? -Infinity;
+        return sketch;
+    }
+}
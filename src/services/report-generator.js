@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import { numToStringSymbol } from '../../scripts/stats-comparer.js';
+import { formatTime } from './chart-formatters.js';
+import { describeSignificance, isWithinNoise, sortComparisonRows } from './comparison-runner.js';
+import { getTopHitches } from './hitch-detector.js';
+import { CHART_SUFFIX, STATS_SUFFIX } from './profile-files.js';
+
+const METADATA_FIELDS = [
+    [ 'buildVersion', 'Build' ],
+    [ 'platform', 'Platform' ],
+    [ 'config', 'Config' ],
+    [ 'startTime', 'Start time' ],
+    [ 'commandLine', 'Command line' ],
+];
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatValue(value) {
+    return Math.abs(value) >= 1 || value === 0 ? value.toFixed(2) : value.toPrecision(3);
+}
+
+function formatPValue(pValue) {
+    return pValue < 0.0001 ? '<0.0001' : pValue.toPrecision(2);
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+// Every run of a group, baseline first, with the chart rendered next to its stats JSON
+function getRuns(group, outputDir) {
+    return [ group.baseline, ...group.candidates ].map((run, index) => {
+        const chartPath = path.join(outputDir, run.name.slice(0, -STATS_SUFFIX.length) + CHART_SUFFIX);
+        return {
+            ...run,
+            title: index === 0 ? 'Baseline' : `Candidate ${index}`,
+            chartPath: fs.existsSync(chartPath) ? chartPath : null
+        };
+    });
+}
+
+function getTableRows(group) {
+    return sortComparisonRows(group.comparisonOutput, group.significance).map(([ key, row ]) => ({
+        key,
+        baseline: formatValue(row.baseline),
+        candidates: row.candidates.map(c => c && {
+            value: formatValue(c.value),
+            variation: numToStringSymbol(c.variation, 6),
+            variationPerc: `${numToStringSymbol(c.variationPerc)}%`,
+            direction: Math.sign(c.variationPerc),
+            noise: isWithinNoise(c),
+            pValue: c.significance ? formatPValue(c.significance.pValue) : null
+        })
+    }));
+}
+
+// Runs with hitch detection enabled, their longest hitches first
+function getHitchRows(runs) {
+    return runs.filter(run => Array.isArray(run.stats.hitches)).map(run => ({
+        run,
+        count: run.stats.hitches.length,
+        hitches: getTopHitches(run.stats.hitches).map(hitch => ({
+            time: formatTime(hitch.time),
+            duration: hitch.duration.toFixed(1),
+            median: hitch.median ? hitch.median.toFixed(1) : '-',
+            culprits: hitch.culprits.map(culprit => `${culprit.name} ${culprit.value.toFixed(1)}`)
+        }))
+    }));
+}
+
+export function buildMarkdownReport(group, outputDir, reportDir) {
+    const runs = getRuns(group, outputDir);
+    const lines = [ `# ${group.name}`, '' ];
+
+    lines.push('## Runs', '');
+    lines.push(`| | File | ${METADATA_FIELDS.map(([ , label ]) => label).join(' | ')} |`);
+    lines.push(`|---|---|${METADATA_FIELDS.map(() => '---').join('|')}|`);
+    runs.forEach(run => {
+        const metadata = run.stats.metadata || {};
+        const cells = METADATA_FIELDS.map(([ field ]) => metadata[ field ] ? `\`${escapeMarkdownCell(metadata[ field ])}\`` : '-');
+        lines.push(`| **${run.title}** | ${escapeMarkdownCell(run.name)} | ${cells.join(' | ')} |`);
+    });
+    lines.push('');
+
+    lines.push('## Charts', '');
+    if (group.overlayChartPath)
+        lines.push('### Overlay', '', `![${group.name} overlay](${toPosix(path.relative(reportDir, group.overlayChartPath))})`, '');
+    if (group.distributionChartPath)
+        lines.push('### Frame time distribution', '', `![${group.name} distribution](${toPosix(path.relative(reportDir, group.distributionChartPath))})`, '');
+    runs.forEach(run => {
+        if (!run.chartPath) return;
+        lines.push(`### ${run.title}`, '', `![${run.name}](${toPosix(path.relative(reportDir, run.chartPath))})`, '');
+    });
+
+    const hitchRows = getHitchRows(runs);
+    if (hitchRows.length > 0) lines.push('## Top hitches', '');
+    hitchRows.forEach(({ run, count, hitches }) => {
+        lines.push(`### ${run.title} (${count} hitches)`, '');
+        if (hitches.length === 0) return;
+        lines.push('| Time | Frame time (ms) | Median (ms) | Culprits (ms) |', '|---|---:|---:|---|');
+        hitches.forEach(hitch => lines.push(`| ${hitch.time} | ${hitch.duration} | ${hitch.median} | ${escapeMarkdownCell(hitch.culprits.join(', ') || '-')} |`));
+        lines.push('');
+    });
+
+    lines.push('## Variations', '');
+    lines.push('The values of "Exclusive/GameThread" reflect the processing duration (in milliseconds) for each task.');
+    lines.push('_The following stats are based on averages._');
+    lines.push(`_${describeSignificance(group.significance)} Noise is shown as \`~value (change)\`._`, '');
+    lines.push(`| Stat | Baseline | ${runs.slice(1).map(run => run.title).join(' | ')} |`);
+    lines.push(`|---|---:|${runs.slice(1).map(() => '---:').join('|')}|`);
+    getTableRows(group).forEach(row => {
+        const cells = row.candidates.map(c => {
+            if (!c) return '-';
+            return c.noise ? `~${c.value} (${c.variationPerc})` : `${c.value} **${c.variationPerc}** _(${c.variation})_`;
+        });
+        lines.push(`| ${escapeMarkdownCell(row.key)} | ${row.baseline} | ${cells.join(' | ')} |`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+const HTML_STYLE = `
+body { font-family: Arial, sans-serif; background: #18181a; color: #ddd; margin: 2em; }
+a { color: #4ECDC4; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #333; padding: 4px 8px; }
+th { background: #222; }
+td.num { text-align: right; font-family: monospace; }
+td.up { color: #F36; }
+td.down { color: #4ECDC4; }
+td.noise { color: #666; }
+code { color: #aaa; }
+img { max-width: 100%; border: 1px solid #333; }
+`;
+
+function htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Charts are inlined so the HTML report can be attached on its own
+export function buildHtmlReport(group, outputDir) {
+    const runs = getRuns(group, outputDir);
+    const parts = [ `<h1>${escapeHtml(group.name)}</h1>`, '<h2>Runs</h2>', '<table>' ];
+
+    parts.push(`<tr><th></th><th>File</th>${METADATA_FIELDS.map(([ , label ]) => `<th>${label}</th>`).join('')}</tr>`);
+    runs.forEach(run => {
+        const metadata = run.stats.metadata || {};
+        const cells = METADATA_FIELDS.map(([ field ]) => `<td>${metadata[ field ] ? `<code>${escapeHtml(metadata[ field ])}</code>` : '-'}</td>`);
+        parts.push(`<tr><th>${run.title}</th><td>${escapeHtml(run.name)}</td>${cells.join('')}</tr>`);
+    });
+    parts.push('</table>', '<h2>Charts</h2>');
+
+    if (group.overlayChartPath) {
+        const image = fs.readFileSync(group.overlayChartPath).toString('base64');
+        parts.push('<h3>Overlay</h3>', `<img alt="${escapeHtml(group.name)} overlay" src="data:image/png;base64,${image}">`);
+    }
+    if (group.distributionChartPath) {
+        const image = fs.readFileSync(group.distributionChartPath).toString('base64');
+        parts.push('<h3>Frame time distribution</h3>', `<img alt="${escapeHtml(group.name)} distribution" src="data:image/png;base64,${image}">`);
+    }
+    runs.forEach(run => {
+        if (!run.chartPath) return;
+        const image = fs.readFileSync(run.chartPath).toString('base64');
+        parts.push(`<h3>${run.title}</h3>`, `<img alt="${escapeHtml(run.name)}" src="data:image/png;base64,${image}">`);
+    });
+
+    const hitchRows = getHitchRows(runs);
+    if (hitchRows.length > 0) parts.push('<h2>Top hitches</h2>');
+    hitchRows.forEach(({ run, count, hitches }) => {
+        parts.push(`<h3>${run.title} (${count} hitches)</h3>`);
+        if (hitches.length === 0) return;
+        parts.push('<table>', '<tr><th>Time</th><th>Frame time (ms)</th><th>Median (ms)</th><th>Culprits (ms)</th></tr>');
+        hitches.forEach(hitch => parts.push(`<tr><td class="num">${hitch.time}</td><td class="num">${hitch.duration}</td><td class="num">${hitch.median}</td><td>${escapeHtml(hitch.culprits.join(', ') || '-')}</td></tr>`));
+        parts.push('</table>');
+    });
+
+    parts.push('<h2>Variations</h2>');
+    parts.push('<p>The values of "Exclusive/GameThread" reflect the processing duration (in milliseconds) for each task.<br><em>The following stats are based on averages.</em><br>');
+    parts.push(`<em>${escapeHtml(describeSignificance(group.significance))} Noise is greyed out.</em></p>`);
+    parts.push('<table>', `<tr><th>Stat</th><th>Baseline</th>${runs.slice(1).map(run => `<th>${run.title}</th>`).join('')}</tr>`);
+    getTableRows(group).forEach(row => {
+        const cells = row.candidates.map(c => {
+            if (!c) return '<td class="num">-</td>';
+            const title = c.pValue !== null ? ` title="p=${c.pValue}"` : '';
+            if (c.noise) return `<td class="num noise"${title}>${c.value} ${c.variationPerc} <small>(${c.variation})</small></td>`;
+            const className = c.direction > 0 ? 'num up' : c.direction < 0 ? 'num down' : 'num';
+            return `<td class="${className}"${title}>${c.value} <strong>${c.variationPerc}</strong> <small>(${c.variation})</small></td>`;
+        });
+        parts.push(`<tr><td>${escapeHtml(row.key)}</td><td class="num">${row.baseline}</td>${cells.join('')}</tr>`);
+    });
+    parts.push('</table>');
+
+    return htmlPage(group.name, parts.join('\n'));
+}
+
+/**
+ * Writes a Markdown and a self-contained HTML report per comparison group, plus an index of them.
+ * @param {object[]} groups comparison groups from compareOutputStats, written under their `fileName`
+ * @param {string} outputDir directory holding the stats JSON and charts
+ * @param {string} [reportDir] defaults to <outputDir>/reports
+ * @returns {{ index: string, reports: string[] }} paths of the written files
+ */
+export function writeComparisonReports(groups, outputDir, reportDir = path.join(outputDir, 'reports')) {
+    fs.mkdirSync(reportDir, { recursive: true });
+
+    const reports = [];
+    const entries = groups.map(group => {
+        const { fileName } = group;
+        const markdownPath = path.join(reportDir, `${fileName}.md`);
+        const htmlPath = path.join(reportDir, `${fileName}.html`);
+
+        fs.writeFileSync(markdownPath, buildMarkdownReport(group, outputDir, reportDir));
+        fs.writeFileSync(htmlPath, buildHtmlReport(group, outputDir));
+        reports.push(markdownPath, htmlPath);
+
+        const frameTime = group.comparisonOutput.FrameTime;
+        return {
+            group,
+            fileName,
+            frameTimeChanges: frameTime ? frameTime.candidates.map(c => c ? `${isWithinNoise(c) ? '~' : ''}${numToStringSymbol(c.variationPerc)}%` : '-').join(', ') : '-'
+        };
+    });
+
+    const generated = new Date().toISOString();
+
+    const markdownIndex = [
+        '# Comparison reports', '', `_Generated ${generated}_`, '',
+        '| Group | Baseline | Candidates | FrameTime | Reports |',
+        '|---|---|---:|---|---|',
+        ...entries.map(({ group, fileName, frameTimeChanges }) =>
+            `| ${escapeMarkdownCell(group.name)} | ${escapeMarkdownCell(group.baseline.name)} | ${group.candidates.length} | ${frameTimeChanges} | [md](${fileName}.md) · [html](${fileName}.html) |`)
+    ].join('\n') + '\n';
+
+    const htmlIndex = htmlPage('Comparison reports', [
+        '<h1>Comparison reports</h1>', `<p><em>Generated ${generated}</em></p>`, '<table>',
+        '<tr><th>Group</th><th>Baseline</th><th>Candidates</th><th>FrameTime</th><th>Reports</th></tr>',
+        ...entries.map(({ group, fileName, frameTimeChanges }) =>
+            `<tr><td>${escapeHtml(group.name)}</td><td>${escapeHtml(group.baseline.name)}</td><td class="num">${group.candidates.length}</td><td class="num">${frameTimeChanges}</td><td><a href="${encodeURIComponent(fileName)}.html">html</a> · <a href="${encodeURIComponent(fileName)}.md">md</a></td></tr>`),
+        '</table>'
+    ].join('\n'));
+
+    const index = path.join(reportDir, 'index.md');
+    fs.writeFileSync(index, markdownIndex);
+    fs.writeFileSync(path.join(reportDir, 'index.html'), htmlIndex);
+
+    return { index, reports };
+}
@@ -0,0 +1,104 @@
+import { findSortedIndex } from './sorted-array.js';
+
+export const RESAMPLE_REDUCERS = [ 'mean', 'min', 'max', 'lttb' ];
+
+/**
+ * Reduces a series to at most `points` points.
+ * mean, min and max split the time range into equal intervals and keep one point per non-empty one,
+ * lttb (Largest-Triangle-Three-Buckets) keeps the points that best preserve the shape of the line.
+ * @param {Float64Array} times sorted
+ * @param {Float64Array} values
+ * @param {number} points
+ * @param {string} [reducer] see RESAMPLE_REDUCERS
+ * @returns {{x: number, y: number}[]}
+ */
+export function resample(times, values, points, reducer = 'mean') {
+    if (!RESAMPLE_REDUCERS.includes(reducer)) throw new Error(`Unknown reducer "${reducer}", expected one of: ${RESAMPLE_REDUCERS.join(', ')}`);
+    if (!(points >= 1) || times.length <= points) return toPoints(times, values);
+
+    return reducer === 'lttb' ? largestTriangleThreeBuckets(times, values, points) : reduceIntervals(times, values, points, reducer);
+}
+
+function toPoints(times, values) {
+    const result = new Array(times.length);
+    for (let i = 0; i < times.length; i++) result[ i ] = { x: times[ i ], y: values[ i ] };
+    return result;
+}
+
+function reduceIntervals(times, values, points, reducer) {
+    const start = times[ 0 ];
+    const width = (times[ times.length - 1 ] - start) / points;
+    const result = [];
+
+    let i = 0;
+    while (i < times.length) {
+        // The last interval is closed, it holds the last point
+        const interval = width > 0 ? Math.min(Math.floor((times[ i ] - start) / width), points - 1) : 0;
+        const boundary = width > 0 && interval < points - 1 ? findSortedIndex(times, start + (interval + 1) * width) : times.length;
+        // Rounding can put the boundary at the current point, an interval always holds it
+        const end = Math.max(boundary, i + 1);
+
+        if (reducer === 'mean') {
+            let timeSum = 0;
+            let valueSum = 0;
+            for (let j = i; j < end; j++) {
+                timeSum += times[ j ];
+                valueSum += values[ j ];
+            }
+            result.push({ x: timeSum / (end - i), y: valueSum / (end - i) });
+        } else {
+            // min and max keep the time of the point they picked
+            let picked = i;
+            for (let j = i + 1; j < end; j++) {
+                if (reducer === 'min' ? values[ j ] < values[ picked ] : values[ j ] > values[ picked ]) picked = j;
+            }
+            result.push({ x: times[ picked ], y: values[ picked ] });
+        }
+
+        i = end;
+    }
+
+    return result;
+}
+
+function largestTriangleThreeBuckets(times, values, points) {
+    const length = times.length;
+    if (points < 3) return [ { x: times[ 0 ], y: values[ 0 ] }, { x: times[ length - 1 ], y: values[ length - 1 ] } ].slice(0, points);
+
+    // First and last points are kept, the others are split in points - 2 buckets
+    const every = (length - 2) / (points - 2);
+    const result = [ { x: times[ 0 ], y: values[ 0 ] } ];
+    let previous = 0;
+
+    for (let i = 0; i < points - 2; i++) {
+        // Average of the next bucket, the third corner of the triangle
+        const nextStart = Math.floor((i + 1) * every) + 1;
+        const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, length);
+        let averageTime = 0;
+        let averageValue = 0;
+        for (let j = nextStart; j < nextEnd; j++) {
+            averageTime += times[ j ];
+            averageValue += values[ j ];
+        }
+        averageTime /= nextEnd - nextStart;
+        averageValue /= nextEnd - nextStart;
+
+        const start = Math.floor(i * every) + 1;
+        const end = Math.floor((i + 1) * every) + 1;
+        let maxArea = -1;
+        let picked = start;
+        for (let j = start; j < end; j++) {
+            const area = Math.abs((times[ previous ] - averageTime) * (values[ j ] - values[ previous ]) - (times[ previous ] - times[ j ]) * (averageValue - values[ previous ]));
+            if (area > maxArea) {
+                maxArea = area;
+                picked = j;
+            }
+        }
+
+        result.push({ x: times[ picked ], y: values[ picked ] });
+        previous = picked;
+    }
+
+    result.push({ x: times[ length - 1 ], y: values[ length - 1 ] });
+    return result;
+}
@@ -0,0 +1,58 @@
+import { insertSorted, removeSorted } from './sorted-array.js';
+
+/**
+ * Mean and percentiles of the values added over the last `windowMs` of match time.
+ * Only the values still in the window are kept, in arrival order and sorted.
+ */
+export default class RollingWindow {
+    #times = []
+    #values = []
+    #head = 0
+    #sorted = []
+    #sum = 0
+
+    /**
+     * @param {number} windowMs
+     */
+    constructor(windowMs) {
+        this.windowMs = windowMs;
+    }
+
+    /**
+     * @param {number} time match time (ms), never before the previous one
+     * @param {number} value
+     */
+    add(time, value) {
+        this.#times.push(time);
+        this.#values.push(value);
+        insertSorted(this.#sorted, value);
+        this.#sum += value;
+
+        // Values older than the window are dropped, the arrays are compacted once mostly stale
+        while (this.#times[ this.#head ] <= time - this.windowMs) {
+            const removed = this.#values[ this.#head++ ];
+            removeSorted(this.#sorted, removed);
+            this.#sum -= removed;
+        }
+        if (this.#head > 1024 && this.#head * 2 > this.#times.length) {
+            this.#times = this.#times.slice(this.#head);
+            this.#values = this.#values.slice(this.#head);
+            this.#head = 0;
+        }
+    }
+
+    get count() {
+        return this.#sorted.length;
+    }
+
+    get mean() {
+        return this.count > 0 ? this.#sum / this.count : undefined;
+    }
+
+    // Nearest rank, as the bucket percentiles of the DataStore
+    percentile(p) {
+        if (this.count === 0) return undefined;
+        const rank = Math.min(this.count - 1, Math.ceil(p / 100 * this.count) - 1);
+        return this.#sorted[ Math.max(rank, 0) ];
+    }
+}
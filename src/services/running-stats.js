@@ -0,0 +1,82 @@
+import QuantileSketch from './quantile-sketch.js';
+
+/**
+ * Count, min, max, mean and standard deviation in O(1) memory (Welford's algorithm),
+ * with an optional quantile sketch for percentiles.
+ */
+export default class RunningStats {
+    count = 0
+    min = Infinity
+    max = -Infinity
+    mean = 0
+    #m2 = 0
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.quantiles] keep a QuantileSketch to answer percentiles
+     */
+    constructor(options = {}) {
+        this.sketch = options.quantiles ? new QuantileSketch() : null;
+    }
+
+    add(value) {
+        this.count++;
+        const delta = value - this.mean;
+        this.mean += delta / this.count;
+        this.#m2 += delta * (value - this.mean);
+
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+
+        this.sketch?.add(value);
+    }
+
+    get variance() {
+        return this.count > 1 ? this.#m2 / (this.count - 1) : 0;
+    }
+
+    get stddev() {
+        return Math.sqrt(this.variance);
+    }
+
+    get sum() {
+        return this.mean * this.count;
+    }
+
+    percentile(p) {
+        return this.sketch?.quantile(p / 100);
+    }
+
+    toJSON() {
+        if (this.count === 0) return { count: 0 };
+
+        return {
+            count: this.count,
+            min: this.min,
+            max: this.max,
+            mean: this.mean,
+            stddev: this.stddev,
+            ...(this.sketch ? {
+                p50: this.percentile(50),
+                p95: this.percentile(95),
+                p99: this.percentile(99),
+                // Kept so runs can be compared on their whole distribution
+                sketch: this.sketch.toJSON()
+            } : {})
+        };
+    }
+
+    // Inverse of toJSON, the sum of squares is recovered from the standard deviation
+    static fromJSON(json) {
+        const stats = new RunningStats({ quantiles: Boolean(json.sketch) });
+        if (json.sketch) stats.sketch = QuantileSketch.fromJSON(json.sketch);
+        if (!json.count) return stats;
+
+        stats.count = json.count;
+        stats.min = json.min;
+        stats.max = json.max;
+        stats.mean = json.mean;
+        stats.#m2 = json.stddev * json.stddev * (json.count - 1);
+        return stats;
+    }
+}
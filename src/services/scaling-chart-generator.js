@@ -0,0 +1,225 @@
+import Chart from 'chart.js/auto';
+import annotationPlugin from 'chartjs-plugin-annotation';
+import { applyChartCallbacks } from './chart-formatters.js';
+import { getDefaultChartTheme } from './chart-theme.js';
+import { withAlpha } from './chart-generator.js';
+
+Chart.register(annotationPlugin);
+
+/**
+ * Frame time against player count: one point per second of the match, the least-squares trend line
+ * and the mean and p95 frame time and mean GameThread time of every player count bucket.
+ * `scaling` is a PlayerScalingAnalysis.
+ */
+export default class ScalingChartGenerator {
+    constructor(canvas, canvasWidth, canvasHeight, scaling, options = {}) {
+        this.basename = options.basename || 'Chart';
+        this.theme = options.theme || getDefaultChartTheme();
+        const fontUnit = canvasHeight * this.theme.fontScale;
+        const { colors, categories: palette } = this.theme;
+
+        const points = scaling.getPoints();
+        const buckets = scaling.getBuckets();
+        const trend = scaling.getTrend();
+        const minPlayers = Math.min(...buckets.map(bucket => bucket.minPlayers));
+        const maxPlayers = Math.max(...buckets.map(bucket => bucket.maxPlayers + 1));
+        const getCentre = bucket => (bucket.minPlayers + bucket.maxPlayers + 1) / 2;
+        const frameTimeSeries = (id, shortLabel) => ({ id, shortLabel, unit: 'ms', precision: 2 });
+
+        const datasets = [ {
+            label: 'Frame time (1 s means)',
+            series: frameTimeSeries('points', 'Frame time'),
+            data: points,
+            showLine: false,
+            borderColor: withAlpha(palette[ 0 ], '99'),
+            backgroundColor: withAlpha(palette[ 0 ], '55'),
+            pointRadius: Math.max(1, Math.round(canvasHeight / 500)),
+            pointHoverRadius: 4
+        }, {
+            label: `Mean per ${scaling.bucketSize} players`,
+            series: frameTimeSeries('mean', 'Mean'),
+            data: buckets.map(bucket => ({ x: getCentre(bucket), y: bucket.frameTime.mean })),
+            borderColor: palette[ 1 % palette.length ],
+            backgroundColor: palette[ 1 % palette.length ],
+            borderWidth: 2,
+            pointRadius: Math.round(canvasHeight / 200),
+            fill: false
+        }, {
+            label: `p95 per ${scaling.bucketSize} players`,
+            series: frameTimeSeries('p95', 'p95'),
+            data: buckets.map(bucket => ({ x: getCentre(bucket), y: bucket.frameTime.p95 })),
+            borderColor: palette[ 2 % palette.length ],
+            backgroundColor: palette[ 2 % palette.length ],
+            borderDash: [ 8, 4 ],
+            borderWidth: 2,
+            pointRadius: Math.round(canvasHeight / 250),
+            fill: false
+        } ];
+
+        const gameThreadBuckets = buckets.filter(bucket => bucket.gameThread);
+        if (gameThreadBuckets.length > 0) datasets.push({
+            label: `GameThread mean per ${scaling.bucketSize} players`,
+            series: frameTimeSeries('gameThread', 'GameThread'),
+            data: gameThreadBuckets.map(bucket => ({ x: getCentre(bucket), y: bucket.gameThread.mean })),
+            borderColor: palette[ 3 % palette.length ],
+            backgroundColor: palette[ 3 % palette.length ],
+            borderWidth: 2,
+            pointRadius: Math.round(canvasHeight / 250),
+            fill: false
+        });
+
+        if (trend) datasets.push({
+            label: `Trend: ${trend.slope >= 0 ? '+' : ''}${trend.slope.toFixed(3)} ms per player (r² ${trend.r2.toFixed(2)})`,
+            series: frameTimeSeries('trend', 'Trend'),
+            data: [ minPlayers, maxPlayers ].map(x => ({ x, y: trend.slope * x + trend.intercept })),
+            borderColor: colors.title,
+            borderWidth: 2,
+            borderDash: [ 4, 4 ],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false
+        });
+
+        const yMax = Math.max(
+            points.reduce((max, point) => Math.max(max, point.y), -Infinity),
+            buckets.reduce((max, bucket) => Math.max(max, bucket.frameTime.p95 || 0), -Infinity)
+        );
+
+        this.chartContext = {
+            canvasHeight,
+            theme: this.theme,
+            seriesScales: {},
+            xUnit: 'players',
+            xPrecision: 0
+        };
+
+        this.chartConfig = {
+            type: 'line',
+            data: {
+                datasets
+            },
+            options: {
+                responsive: false,
+                maintainAspectRatio: false,
+                layout: {
+                    padding: {
+                        left: canvasHeight / 20,
+                        right: canvasHeight / 20,
+                        top: canvasHeight / 40,
+                        bottom: canvasHeight / 40
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        position: 'bottom',
+                        min: minPlayers,
+                        max: maxPlayers,
+                        title: {
+                            display: true,
+                            text: 'Players',
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 60) }
+                        },
+                        ticks: {
+                            color: colors.title,
+                            stepSize: scaling.bucketSize
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    },
+                    y: {
+                        type: 'linear',
+                        position: 'left',
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Frame time (ms)',
+                            color: colors.text,
+                            font: { size: Math.round(fontUnit / 40) }
+                        },
+                        ticks: {
+                            color: colors.text
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: colors.title,
+                            font: { size: Math.round(fontUnit / 70) },
+                            usePointStyle: true,
+                            pointStyle: 'circle'
+                        }
+                    },
+                    annotation: {
+                        annotations: this.createTargetAnnotations(options.targetTickrates || [], yMax, fontUnit)
+                    },
+                    title: {
+                        display: true,
+                        text: options.title || `${this.basename} - Frame time by player count`,
+                        color: colors.title,
+                        font: {
+                            size: Math.round(fontUnit / 40),
+                            weight: 'bold'
+                        },
+                        padding: 20
+                    },
+                    tooltip: {
+                        mode: 'nearest',
+                        intersect: false,
+                        backgroundColor: colors.tooltipBackground,
+                        titleColor: colors.tooltipText,
+                        bodyColor: colors.tooltipText,
+                        borderColor: colors.tooltipText,
+                        borderWidth: 1
+                    }
+                }
+            }
+        };
+
+        // Without a canvas only the serializable configuration is built, see chartConfig and chartContext
+        if (!canvas) return;
+
+        const plugins = applyChartCallbacks(this.chartConfig, this.chartContext);
+        return new Chart(canvas, { ...this.chartConfig, plugins });
+    }
+
+    // Frame time budget of the target tick rates below the highest value drawn
+    createTargetAnnotations(targetTickrates, yMax, fontUnit) {
+        const { colors } = this.theme;
+        const annotations = {};
+
+        targetTickrates.forEach(tickrate => {
+            const budget = 1000 / tickrate;
+            if (budget > yMax) return;
+
+            annotations[ `target${tickrate}` ] = {
+                type: 'line',
+                yMin: budget,
+                yMax: budget,
+                borderColor: colors.marker,
+                borderWidth: 1,
+                borderDash: [ 5, 5 ],
+                label: {
+                    display: true,
+                    content: `${tickrate} TPS (${budget.toFixed(1)} ms)`,
+                    position: 'end',
+                    backgroundColor: withAlpha(colors.marker, 'CC'),
+                    color: colors.markerText,
+                    font: {
+                        size: Math.round(fontUnit / 80)
+                    }
+                }
+            };
+        });
+
+        return annotations;
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Index of the first value at or after `value` (`after`: strictly after) in a sorted array.
+ * @param {ArrayLike<number>} sorted
+ * @param {number} value
+ * @param {boolean} [after]
+ */
+export function findSortedIndex(sorted, value, after = false) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sorted[ middle ] < value || (after && sorted[ middle ] === value)) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+// Keeps `sorted` sorted, O(length) for the shift
+export function insertSorted(sorted, value) {
+    sorted.splice(findSortedIndex(sorted, value), 0, value);
+}
+
+// Removes one occurrence of a value known to be in `sorted`
+export function removeSorted(sorted, value) {
+    sorted.splice(findSortedIndex(sorted, value), 1);
+}
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareOutputStats, loadComparisonConfig } from '../src/services/comparison-runner.js';
+
+const CONFIG = { groupBy: 'map', baseline: 'dir:UE4', phase: null, significance: {} };
+
+describe('loadComparisonConfig', () => {
+    function load(overrides) {
+        return loadComparisonConfig(undefined, overrides);
+    }
+
+    it('accepts every rule kind', () => {
+        [ 'map', 'dir', 'filename:^(\\w+)_', 'metadata:platform' ].forEach(groupBy => assert.equal(load({ groupBy }).groupBy, groupBy));
+        [ 'dir:UE4', 'filename:_base', 'metadata:buildVersion=5.3' ].forEach(baseline => assert.equal(load({ baseline }).baseline, baseline));
+    });
+
+    it('rejects malformed rules', () => {
+        assert.throws(() => load({ groupBy: 'folder' }), /Invalid groupBy rule "folder", expected one of: map, dir, filename, metadata/);
+        assert.throws(() => load({ baseline: 'map' }), /Invalid baseline rule "map"/);
+        assert.throws(() => load({ groupBy: '' }), /Invalid groupBy rule ""/);
+        assert.throws(() => load({ groupBy: 'metadata' }), /The groupBy rule "metadata" needs an argument/);
+        assert.throws(() => load({ baseline: 'dir' }), /The baseline rule "dir" needs an argument/);
+        assert.throws(() => load({ baseline: 'filename:(' }), /Invalid baseline regex/);
+    });
+
+    it('keeps the file values the CLI leaves unset', () => {
+        const config = load({ groupBy: undefined, baseline: 'dir:UE5', significance: { alpha: 0.05 } });
+
+        assert.equal(config.groupBy, 'map');
+        assert.equal(config.baseline, 'dir:UE5');
+        assert.deepEqual(config.significance, { alpha: 0.05, minEffectSize: 0.147, hideNoise: false });
+    });
+});
+
+describe('compareOutputStats', () => {
+    let dir;
+    let warn;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comparison-runner-'));
+        warn = mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        warn.mock.restore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeStats(file, frameTime, metadata) {
+        const statsPath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+        fs.writeFileSync(statsPath, JSON.stringify({ FrameTime: frameTime, ...(metadata && { metadata }) }));
+    }
+
+    function compare(config) {
+        return compareOutputStats(dir, { ...CONFIG, ...config });
+    }
+
+    function summarize(groups) {
+        return Object.fromEntries(Object.entries(groups).map(([ key, group ]) => [ key, {
+            baseline: group.baseline?.name ?? null,
+            candidates: group.candidates.map(run => run.name),
+            fileName: group.fileName
+        } ]));
+    }
+
+    it('groups by map and picks the baseline by directory', () => {
+        writeStats('UE4/Narva_AAS.ratios.json', 16);
+        writeStats('UE5/Narva_AAS.ratios.json', 20);
+        writeStats('UE5/Yehorivka_RAAS.ratios.json', 18);
+        writeStats('ue4/Yehorivka_RAAS.ratios.json', 17);
+        // Stats of a phase and other files are left out
+        writeStats('UE5/Narva_AAS.live.ratios.json', 30);
+        writeStats('UE5/Narva_AAS.csv', 0);
+
+        const groups = compare();
+
+        assert.deepEqual(summarize(groups), {
+            Narva: { baseline: 'UE4/Narva_AAS.ratios.json', candidates: [ 'UE5/Narva_AAS.ratios.json' ], fileName: 'Narva' },
+            Yehorivka: { baseline: 'ue4/Yehorivka_RAAS.ratios.json', candidates: [ 'UE5/Yehorivka_RAAS.ratios.json' ], fileName: 'Yehorivka' }
+        });
+        assert.equal(groups.Narva.comparisonOutput.FrameTime.candidates[ 0 ].variationPerc, 25);
+        assert.match(groups.Narva.mdSummary, /\*\*Baseline:\*\* UE4\/Narva_AAS\.ratios\.json/);
+    });
+
+    it('compares the stats of the selected phase only', () => {
+        writeStats('UE4/Narva_AAS.live.ratios.json', 16);
+        writeStats('UE5/Narva_AAS.live.ratios.json', 20);
+        writeStats('UE5/Narva_AAS.ratios.json', 30);
+
+        const groups = compare({ phase: 'live' });
+
+        assert.deepEqual(groups.Narva.candidates.map(run => run.name), [ 'UE5/Narva_AAS.live.ratios.json' ]);
+        assert.equal(groups.Narva.phase, 'live');
+    });
+
+    it('groups by directory, file name or metadata field', () => {
+        writeStats('UE4/Narva_AAS_base.ratios.json', 16, { platform: 'Windows', buildVersion: '4.27' });
+        writeStats('UE5/Narva_AAS_5.3.ratios.json', 20, { platform: 'Windows', buildVersion: '5.3' });
+        writeStats('UE5/Gorodok_RAAS_5.3.ratios.json', 20, { platform: 'Linux', buildVersion: '5.3' });
+
+        assert.deepEqual(Object.keys(compare({ groupBy: 'dir' })), [ 'UE4', 'UE5' ]);
+        assert.deepEqual(Object.keys(compare({ groupBy: 'filename:_(AAS|RAAS)_' })), [ 'AAS', 'RAAS' ]);
+        // Without a capture group the whole match is the group name, files that do not match are left out
+        assert.deepEqual(Object.keys(compare({ groupBy: 'filename:Narva_AAS' })), [ 'Narva_AAS' ]);
+        assert.deepEqual(Object.keys(compare({ groupBy: 'metadata:platform' })), [ 'Windows', 'Linux' ]);
+    });
+
+    it('picks the baseline by file name or metadata field', () => {
+        writeStats('a/Narva_AAS_base.ratios.json', 16, { buildVersion: '++UE4+Release-4.27' });
+        writeStats('b/Narva_AAS_next.ratios.json', 20, { raw: { buildversion: '++UE5+Release-5.3' } });
+
+        const byFileName = compare({ baseline: 'filename:_base\\.' });
+        assert.equal(byFileName.Narva.baseline.name, 'a/Narva_AAS_base.ratios.json');
+
+        // Raw metadata fields are matched on their lowercase name, the values without regard to case
+        const byMetadata = compare({ baseline: 'metadata:buildVersion=release-5.3' });
+        assert.equal(byMetadata.Narva.baseline.name, 'b/Narva_AAS_next.ratios.json');
+        assert.deepEqual(byMetadata.Narva.candidates.map(run => run.name), [ 'a/Narva_AAS_base.ratios.json' ]);
+    });
+
+    it('does not compare a group without a baseline', () => {
+        writeStats('UE5/Narva_AAS.ratios.json', 20);
+        writeStats('UE5b/Narva_AAS.ratios.json', 22);
+
+        const { Narva } = compare();
+
+        assert.equal(Narva.baseline, null);
+        assert.equal(Narva.comparisonOutput, null);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[ 0 ].arguments[ 0 ], /Narva: no run matches the baseline rule "dir:UE4"/);
+    });
+
+    it('compares the other runs matching the baseline rule as candidates', () => {
+        writeStats('UE4b/Narva_AAS.ratios.json', 17);
+        writeStats('UE4/Narva_AAS.ratios.json', 16);
+        writeStats('UE5/Narva_AAS.ratios.json', 20);
+
+        const { Narva } = compare();
+
+        assert.equal(Narva.baseline.name, 'UE4/Narva_AAS.ratios.json');
+        assert.deepEqual(Narva.candidates.map(run => run.name), [ 'UE4b/Narva_AAS.ratios.json', 'UE5/Narva_AAS.ratios.json' ]);
+        assert.equal(Narva.comparisonOutput.FrameTime.candidates.length, 2);
+        assert.match(warn.mock.calls[ 0 ].arguments[ 0 ], /UE4b\/Narva_AAS\.ratios\.json also matches the baseline rule/);
+    });
+
+    it('gives every group a distinct file name', () => {
+        [ 'Narva 1', 'Narva:1', 'narva_1', 'index' ].forEach((platform, i) => {
+            writeStats(`UE4/Map${i}_AAS.ratios.json`, 16, { platform });
+            writeStats(`UE5/Map${i}_AAS.ratios.json`, 20, { platform });
+        });
+
+        const groups = compare({ groupBy: 'metadata:platform' });
+
+        assert.deepEqual(Object.values(groups).map(group => group.fileName), [ 'Narva_1', 'Narva_1_2', 'narva_1_3', 'index_2' ]);
+        assert.equal(warn.mock.callCount(), 3);
+    });
+
+    it('fails on a missing output directory', () => {
+        assert.throws(() => compareOutputStats(path.join(dir, 'missing'), CONFIG), /Output directory not found/);
+    });
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvBinReader from '../src/services/csv-bin-reader.js';
+import { CsvProfileProcessor } from '../scripts/multi-file-chart.js';
+
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url);
+
+// Records what the reader replays, in place of a CsvProfileProcessor
+function createRecorder() {
+    return {
+        headers: null,
+        rows: [],
+        metadata: null,
+        processHeaders(headers) {
+            this.headers = headers;
+        },
+        processValues(values) {
+            this.rows.push([ ...values ]);
+        },
+        normalizeMetadata(metadata) {
+            return { normalized: metadata };
+        }
+    };
+}
+
+const EXPECTED_HEADERS = [ 'FrameTime', 'Replication/Connections', 'Exclusive/GameThread/Physics', 'EVENTS' ];
+// Physics is only sampled on rows 0, 2 and 4, the rows without a sample read 0
+const EXPECTED_ROWS = [
+    [ 16.5, 10, 1.5, 'MatchStart' ],
+    [ 17.25, 12, 0, '' ],
+    [ 15, 12, 2.5, '' ],
+    [ 120.5, 40, 0, 'Hitch;Checkpoint' ],
+    [ 16, 41, 3.5, '' ],
+];
+
+describe('CsvBinReader', () => {
+    for (const name of [ 'capture-v5-compressed.csv.bin', 'capture-v4.csv.bin' ]) {
+        it(`replays the rows of ${name}`, () => {
+            const recorder = createRecorder();
+            CsvBinReader.fromFile(fixture(name)).feed(recorder);
+
+            assert.deepEqual(recorder.headers, EXPECTED_HEADERS);
+            assert.deepEqual(recorder.rows, EXPECTED_ROWS);
+            assert.deepEqual(recorder.metadata, {
+                normalized: { Platform: 'WindowsServer', BuildVersion: 'fixture-1', StartTimestamp: '1718000000' }
+            });
+        });
+    }
+
+    it('reads the header and the column layout', () => {
+        const capture = CsvBinReader.fromFile(fixture('capture-v5-compressed.csv.bin')).read();
+
+        assert.equal(capture.version, 5);
+        assert.equal(capture.rowCount, 5);
+        assert.deepEqual(capture.events, [ { row: 0, text: 'MatchStart' }, { row: 3, text: 'Hitch' }, { row: 3, text: 'Checkpoint' } ]);
+        assert.deepEqual(capture.columns.map(column => column.isInteger), [ false, true, false ]);
+        assert.equal(capture.columns[ 0 ].presenceMask, null);
+        assert.equal(capture.columns[ 2 ].payload.length, 3 * 4);
+    });
+
+    it('feeds every processor from a single decode', () => {
+        const recorders = [ createRecorder(), createRecorder() ];
+        const reader = CsvBinReader.fromFile(fixture('capture-v5-compressed.csv.bin'));
+        let reads = 0;
+        const read = reader.read.bind(reader);
+        reader.read = () => {
+            reads++;
+            return read();
+        };
+
+        assert.deepEqual(reader.feed(...recorders), recorders);
+        assert.equal(reads, 1);
+        recorders.forEach(recorder => assert.deepEqual(recorder.rows, EXPECTED_ROWS));
+    });
+
+    it('rejects files that are not a capture, of an unknown version or cut short', () => {
+        const bytes = fs.readFileSync(fixture('capture-v4.csv.bin'));
+        assert.throws(() => new CsvBinReader(Buffer.from('\x05hello')).read(), /Not a binary CSV profiler capture/);
+
+        // The version follows the 15 bytes of the magic string
+        const future = Buffer.from(bytes);
+        future.writeInt32LE(6, 15);
+        assert.throws(() => new CsvBinReader(future).read(), /Unsupported binary CSV version 6/);
+
+        assert.throws(() => new CsvBinReader(bytes.subarray(0, bytes.length - 3)).read(), /Unexpected end of binary CSV file/);
+    });
+});
+
+// Captures recorded by the engine, each next to the .csv export of the same capture
+const ENGINE_DIR = new URL('./fixtures/engine/', import.meta.url);
+const ENGINE_CAPTURES = fs.existsSync(ENGINE_DIR)
+    ? fs.readdirSync(ENGINE_DIR).filter(name => name.endsWith('.csv.bin') && fs.existsSync(new URL(name.slice(0, -'.bin'.length), ENGINE_DIR)))
+    : [];
+
+// Header, rows and metadata row of a text export, see CsvProfileProcessor.analyzeLine
+function readCsvExport(url) {
+    const [ headerLine, ...lines ] = fs.readFileSync(url, 'utf8').split(/\r?\n/).filter(Boolean);
+    const end = lines.findIndex(line => line === headerLine || line.startsWith('[HasHeaderRowAtEnd]'));
+    return {
+        headers: headerLine.split(','),
+        rows: (end === -1 ? lines : lines.slice(0, end)).map(line => line.split(',')),
+        metadataLine: lines.find(line => line.startsWith('[HasHeaderRowAtEnd]')) || null
+    };
+}
+
+describe('CsvBinReader against engine captures', () => {
+    if (ENGINE_CAPTURES.length === 0) {
+        it('reads the engine captures as their .csv export', { skip: 'no engine capture in test/fixtures/engine' }, () => {});
+    }
+
+    for (const name of ENGINE_CAPTURES) {
+        it(`reads ${name} as its .csv export`, () => {
+            const processor = new CsvProfileProcessor();
+            const recorder = createRecorder();
+            recorder.normalizeMetadata = metadata => processor.normalizeMetadata(metadata);
+            CsvBinReader.fromFile(new URL(name, ENGINE_DIR)).feed(recorder);
+            const csv = readCsvExport(new URL(name.slice(0, -'.bin'.length), ENGINE_DIR));
+
+            assert.deepEqual(recorder.headers, csv.headers);
+            assert.equal(recorder.rows.length, csv.rows.length);
+            const eventsIndex = csv.headers.indexOf('EVENTS');
+            recorder.rows.forEach((row, rowIndex) => row.forEach((value, i) => {
+                const text = csv.rows[ rowIndex ][ i ] ?? '';
+                if (i === eventsIndex) {
+                    assert.equal(value, text.replace(/^"|"$/g, ''), `events of row ${rowIndex}`);
+                    return;
+                }
+                // The binary capture stores floats, the export prints them rounded
+                const expected = parseFloat(text) || 0;
+                assert.ok(Math.abs(value - expected) <= 1e-3 * Math.max(1, Math.abs(expected)), `${csv.headers[ i ]} of row ${rowIndex}: ${value} instead of ${text}`);
+            }));
+
+            const expectedMetadata = csv.metadataLine ? processor.parseMetadata(csv.metadataLine) : null;
+            // Only the text export marks its trailing header row
+            delete expectedMetadata?.raw.hasheaderrowatend;
+            assert.deepEqual(recorder.metadata, expectedMetadata);
+        });
+    }
+});
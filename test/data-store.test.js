@@ -0,0 +1,238 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DataStore from '../src/services/data-store.js';
+import { compileExpression } from '../src/services/expression.js';
+import { resample } from '../src/services/resample.js';
+import { createRandom } from './helpers/random.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function twoPassStats(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    return { count: values.length, min: Math.min(...values), max: Math.max(...values), mean, stddev: Math.sqrt(variance) };
+}
+
+describe('DataStore', () => {
+    describe('running aggregates', () => {
+        it('summarize every value of numerical and bucketed counters', () => {
+            const random = createRandom(5);
+            const store = new DataStore({ bucketMs: 1000 });
+            const values = [];
+
+            for (let time = 16; time < 20000; time += 16) {
+                const value = random() * 50;
+                values.push(value);
+                store.addTimePoint(time);
+                store.setNewCounterValue('memory', value, undefined, time);
+                store.addBucketedValue('frameTime', value, time);
+            }
+
+            const expected = twoPassStats(values);
+            for (const key of [ 'memory', 'frameTime' ]) {
+                const stats = store.getRunningStats(key);
+                assert.equal(stats.count, expected.count);
+                assert.equal(stats.min, expected.min);
+                assert.equal(stats.max, expected.max);
+                assertClose(stats.mean, expected.mean);
+                assertClose(stats.stddev, expected.stddev, 1e-6);
+            }
+            assert.equal(store.getMinValue('memory'), expected.min);
+            assert.equal(store.getMaxValue('frameTime'), expected.max);
+            assertClose(store.getAverageValue('memory'), expected.mean);
+            assert.equal(store.getRunningStats('unknown'), undefined);
+        });
+
+        it('survive a serialization round trip', () => {
+            const store = new DataStore();
+            [ 3, 7, 11 ].forEach((value, index) => {
+                store.addTimePoint((index + 1) * 100);
+                store.setNewCounterValue('memory', value, undefined, (index + 1) * 100);
+            });
+
+            const restored = DataStore.deserialize(store.serialize());
+            assert.deepEqual(restored.getRunningStats('memory'), store.getRunningStats('memory'));
+            assert.deepEqual(restored.getTimePoints(), Float64Array.from([ 100, 200, 300 ]));
+
+            restored.addTimePoint(400);
+            assert.equal(restored.getLastTimePoint(), 400);
+        });
+    });
+
+    describe('time points', () => {
+        it('keep one point per distinct time in a growing Float64 column', () => {
+            const store = new DataStore();
+            assert.equal(store.getLastTimePoint(), undefined);
+
+            store.addTimePoint(new Date(10));
+            store.addTimePoint(10);
+            store.addTimePoint(20);
+            assert.deepEqual(store.getTimePoints(), Float64Array.from([ 10, 20 ]));
+            assert.equal(store.getPreLastTimePoint(), 10);
+
+            // Past the initial capacity of the column
+            for (let time = 21; time <= 250000; time++) store.addTimePoint(time);
+            const timePoints = store.getTimePoints();
+            assert.equal(timePoints.length, 250000 - 20 + 2);
+            assert.equal(timePoints[ 2 ], 21);
+            assert.equal(store.getLastTimePoint(), 250000);
+        });
+    });
+
+    describe('time range queries', () => {
+        function createStore() {
+            const store = new DataStore({ bucketMs: 1000 });
+            for (let time = 100; time <= 3000; time += 100) {
+                store.addTimePoint(time);
+                store.setNewCounterValue('memory', time / 100, undefined, time);
+                store.addBucketedValue('frameTime', time % 700, time);
+            }
+            return store;
+        }
+
+        it('slices the points between two times, both included', () => {
+            const store = createStore();
+
+            assert.deepEqual(store.getSlice('memory', 300, 500), { times: Float64Array.from([ 300, 400, 500 ]), values: Float64Array.from([ 3, 4, 5 ]) });
+            assert.deepEqual(store.getSlice('memory', 250, 349).values, Float64Array.from([ 3 ]));
+            assert.equal(store.getSlice('memory', 2950).values.length, 1);
+            assert.equal(store.getSlice('memory').values.length, 30);
+            assert.equal(store.getSlice('memory', 3100).values.length, 0);
+            assert.equal(store.getSlice('memory', 500, 300).values.length, 0);
+            assert.equal(store.getSlice('unknown', 0, 1000).values.length, 0);
+        });
+
+        it('slices a field of the buckets, the one being filled included', () => {
+            const store = createStore();
+            const { times, values } = store.getSlice('frameTime', 0, Infinity, 'max');
+
+            assert.equal(times.length, 4);
+            // 2000 to 2900 ms, then the 3000 ms bucket still being filled
+            assert.deepEqual(Array.from(values.subarray(2)), [ 600, 200 ]);
+            assert.deepEqual(Array.from(store.getSlice('frameTime', 0, Infinity, 'count').values), [ 9, 10, 10, 1 ]);
+            assert.throws(() => store.getSlice('frameTime', 0, Infinity, 'median'), /Unknown bucket field "median"/);
+        });
+
+        it('resamples the slice it queries', () => {
+            const store = createStore();
+            const { times, values } = store.getSlice('memory', 1000, 2000);
+
+            assert.deepEqual(store.query('memory', { from: 1000, to: 2000, points: 4, reducer: 'max' }), resample(times, values, 4, 'max'));
+            assert.equal(store.query('memory', { points: 5 }).length, 5);
+            assert.equal(store.query('memory').length, 30);
+        });
+
+        it('finds the extent of a range', () => {
+            const store = createStore();
+
+            assert.deepEqual(store.getExtent('memory', 1000, 2000), { min: 10, max: 20 });
+            assert.deepEqual(store.getExtent('frameTime', 0, 1000, 'min'), { min: 0, max: 0 });
+            assert.equal(store.getExtent('memory', 5000, 6000), null);
+        });
+    });
+
+    describe('derived counters', () => {
+        it('leave out the buckets where an input has no value yet', () => {
+            const store = new DataStore({ bucketMs: 1000 });
+            store.defineDerivedCounter('load', compileExpression('cpuTime + playerCount'), { cpuTime: 'cpuTime', playerCount: 'players' });
+
+            for (let time = 500; time <= 4500; time += 1000) {
+                store.addTimePoint(time);
+                store.setNewCounterValue('cpuTime', 10, undefined, time);
+            }
+            // The first player count only arrives in the third bucket, it is then kept by the later ones
+            store.setNewCounterValue('players', 40, undefined, 2500);
+
+            assert.deepEqual(store.getSlice('load'), { times: Float64Array.from([ 2500, 3500, 4500 ]), values: Float64Array.from([ 50, 50, 50 ]) });
+            assert.deepEqual(store.getRunningStats('load'), { count: 3, min: 50, max: 50, mean: 50, stddev: 0 });
+        });
+    });
+
+    describe('rate counters', () => {
+        // One point per slide holding frames, at its last frame: the frames of the window ending with it, per second
+        function bruteForceRates(times, windowMs, slideMs) {
+            const slides = [ ...new Set(times.map(time => Math.floor(time / slideMs))) ];
+            return slides.map(slide => {
+                const inWindow = times.filter(time => {
+                    const frameSlide = Math.floor(time / slideMs);
+                    return frameSlide <= slide && frameSlide > slide - windowMs / slideMs;
+                });
+                const last = times.filter(time => Math.floor(time / slideMs) === slide).pop();
+                return { x: last, y: inWindow.length * 1000 / windowMs };
+            });
+        }
+
+        function countFrames(store, key, times) {
+            times.forEach(time => store.incrementRateCounter(key, 1, time));
+            return store.getRateCounterData(key);
+        }
+
+        it('counts the frames of every second by default', () => {
+            const store = new DataStore();
+            const times = [ 100, 400, 900, 1000, 1500, 3200 ];
+
+            assert.deepEqual(countFrames(store, 'tps', times), [ { x: 900, y: 3 }, { x: 1500, y: 2 }, { x: 3200, y: 1 } ]);
+            assert.deepEqual(countFrames(store, 'other', times), bruteForceRates(times, 1000, 1000));
+        });
+
+        it('slides its window across gaps in the capture', () => {
+            const random = createRandom(25);
+            const times = [];
+            let time = 0;
+            while (time < 600000) {
+                // Around 30 frames per second, with a few long stalls
+                time += random() < 0.001 ? 20000 + Math.floor(random() * 60000) : 1 + Math.floor(random() * 60);
+                times.push(time);
+            }
+
+            const store = new DataStore();
+            store.defineRateCounter('tps60', { windowMs: 60000, slideMs: 5000 });
+            store.defineRateCounter('tps5', { windowMs: 5000 });
+            const rates = countFrames(store, 'tps60', times);
+
+            assert.deepEqual(rates, bruteForceRates(times, 60000, 5000));
+            assert.deepEqual(countFrames(store, 'tps5', times), bruteForceRates(times, 5000, 5000));
+            assert.ok(rates.some((point, i) => i > 0 && point.x - rates[ i - 1 ].x > 20000));
+        });
+
+        it('needs a window that is a multiple of its slide', () => {
+            const store = new DataStore();
+
+            assert.throws(() => store.defineRateCounter('tps', { windowMs: 60000, slideMs: 7000 }), /multiple of its slide/);
+            assert.throws(() => store.defineRateCounter('tps', { windowMs: 1000, slideMs: 5000 }), /multiple of its slide/);
+            assert.throws(() => store.defineRateCounter('tps', { windowMs: 1000, slideMs: 0 }), /multiple of its slide/);
+
+            store.defineRateCounter('tps', { windowMs: 10000, slideMs: 5000 });
+            assert.throws(() => store.defineRateCounter('tps'), /Rate counter "tps" is already defined/);
+        });
+
+        it('carries on counting after a serialization round trip', () => {
+            const times = Array.from({ length: 400 }, (_, i) => i * 33);
+            const store = new DataStore();
+            store.defineRateCounter('tps', { windowMs: 3000, slideMs: 1000 });
+            countFrames(store, 'tps', times.slice(0, 200));
+
+            const restored = DataStore.deserialize(store.serialize());
+            assert.deepEqual(countFrames(restored, 'tps', times.slice(200)), countFrames(store, 'tps', times.slice(200)));
+            assert.deepEqual(restored.getRateCounterData('tps'), bruteForceRates(times, 3000, 1000));
+        });
+    });
+
+    describe('getRollingSeries', () => {
+        it('gives the moving mean and percentile of every point', () => {
+            const store = new DataStore();
+            [ 10, 20, 30, 40 ].forEach((value, index) => store.setNewCounterValue('frameTime', value, undefined, (index + 1) * 1000));
+
+            assert.deepEqual(store.getRollingSeries('frameTime', 2000).map(point => point.y), [ 10, 15, 25, 35 ]);
+            assert.deepEqual(store.getRollingSeries('frameTime', 3000, 'p50'), [
+                { x: 1000, y: 10 },
+                { x: 2000, y: 10 },
+                { x: 3000, y: 20 },
+                { x: 4000, y: 30 },
+            ]);
+            assert.throws(() => store.getRollingSeries('frameTime', 1000, 'median'), /Unknown rolling statistic "median"/);
+        });
+    });
+});
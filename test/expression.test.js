@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression } from '../src/services/expression.js';
+
+const evaluate = (source, values = {}) => compileExpression(source).evaluate(name => values[ name ]);
+
+describe('compileExpression', () => {
+    it('follows the arithmetic precedence and parentheses', () => {
+        assert.equal(evaluate('1 + 2 * 3'), 7);
+        assert.equal(evaluate('(1 + 2) * 3'), 9);
+        assert.equal(evaluate('10 - 4 - 3'), 3);
+        assert.equal(evaluate('24 / 4 / 2'), 3);
+        assert.equal(evaluate('7 % 4 + 1'), 4);
+        assert.equal(evaluate('-2 * -3'), 6);
+        assert.equal(evaluate('1.5e2 + .5'), 150.5);
+    });
+
+    it('resolves identifiers, bracketed names included', () => {
+        const expression = compileExpression('cpuTime / frameTime * 100 + [Exclusive/GameThread/Tick]');
+
+        assert.deepEqual(expression.identifiers, [ 'cpuTime', 'frameTime', 'Exclusive/GameThread/Tick' ]);
+        assert.equal(expression.source, 'cpuTime / frameTime * 100 + [Exclusive/GameThread/Tick]');
+        assert.equal(expression.evaluate(name => ({ cpuTime: 8, frameTime: 16, 'Exclusive/GameThread/Tick': 1 })[ name ]), 51);
+    });
+
+    it('calls the allowed functions only', () => {
+        assert.equal(evaluate('max(a, b, 3)', { a: 1, b: 5 }), 5);
+        assert.equal(evaluate('min(a, 2) + abs(-3) + sqrt(16) + round(1.6) + floor(1.6) + ceil(1.2) + log(1)', { a: 1 }), 1 + 3 + 4 + 2 + 1 + 2 + 0);
+
+        assert.throws(() => compileExpression('constructor(1)'), /Unknown function "constructor"/);
+        assert.throws(() => compileExpression('process.exit(1)'), /Unknown function "process.exit"/);
+    });
+
+    it('gives NaN when a name has no value', () => {
+        assert.ok(Number.isNaN(evaluate('cpuTime + playerCount', { cpuTime: 8 })));
+        assert.ok(Number.isNaN(evaluate('max(a, b)', { a: 1, b: NaN })));
+        assert.equal(evaluate('a * 0 + 1', { a: 0 }), 1);
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => compileExpression('a +'), /Unexpected end of expression/);
+        assert.throws(() => compileExpression('(a + b'), /Expected "\)"/);
+        assert.throws(() => compileExpression('a b'), /Unexpected "b"/);
+        assert.throws(() => compileExpression('[Unclosed'), /Unclosed "\["/);
+        assert.throws(() => compileExpression('a ^ 2'), /Unexpected "\^"/);
+    });
+});
@@ -0,0 +1,8 @@
+// Deterministic pseudo-random numbers (Park-Miller), so failures can be replayed
+export function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
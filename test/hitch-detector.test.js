@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import HitchDetector, { getTopHitches } from '../src/services/hitch-detector.js';
+import { createRandom } from './helpers/random.js';
+
+function bruteForceMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [ ...values ].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 === 1 ? sorted[ middle ] : (sorted[ middle - 1 ] + sorted[ middle ]) / 2;
+}
+
+describe('HitchDetector', () => {
+    it('keeps the median of the last frames of the window', () => {
+        const random = createRandom(17);
+        const detector = new HitchDetector({ window: 9 });
+        const frames = [];
+
+        for (let i = 0; i < 500; i++) {
+            // Repeated values exercise the removal of duplicates from the sorted window
+            const frameTime = Math.round(random() * 20);
+            detector.check(frameTime);
+            frames.push(frameTime);
+            assert.equal(detector.median, bruteForceMedian(frames.slice(-9)));
+        }
+    });
+
+    it('flags frames above the absolute threshold from the first frame', () => {
+        const detector = new HitchDetector({ threshold: 50 });
+
+        assert.deepEqual(detector.check(80), { median: null });
+        assert.equal(detector.check(50), null);
+        assert.deepEqual(detector.check(51), { median: 65 });
+    });
+
+    it('waits for a full window before applying the median multiple', () => {
+        const detector = new HitchDetector({ medianMultiple: 3, window: 4 });
+
+        [ 100, 16, 16 ].forEach(frameTime => assert.equal(detector.check(frameTime), null));
+        assert.equal(detector.check(17), null);
+
+        // Window [ 100, 16, 16, 17 ], median 16.5
+        assert.deepEqual(detector.check(50), { median: 16.5 });
+        // Window [ 16, 16, 17, 50 ], median 16.5
+        assert.equal(detector.check(49), null);
+        // Window [ 16, 17, 50, 49 ], median 33, a frame of exactly the multiple is not a hitch
+        assert.equal(detector.check(99), null);
+        // Window [ 17, 50, 49, 99 ], median 49.5
+        assert.deepEqual(detector.check(149), { median: 49.5 });
+    });
+
+    it('flags nothing without a rule', () => {
+        const detector = new HitchDetector();
+        for (let i = 0; i < 300; i++) assert.equal(detector.check(i % 2 ? 1000 : 1), null);
+    });
+});
+
+describe('getTopHitches', () => {
+    it('returns the longest hitches first without changing the list', () => {
+        const hitches = [ 30, 120, 45, 80 ].map((duration, index) => ({ time: index * 1000, duration }));
+
+        assert.deepEqual(getTopHitches(hitches, 2).map(hitch => hitch.duration), [ 120, 80 ]);
+        assert.deepEqual(hitches.map(hitch => hitch.duration), [ 30, 120, 45, 80 ]);
+        assert.equal(getTopHitches(hitches).length, 4);
+        assert.deepEqual(getTopHitches(undefined), []);
+    });
+});
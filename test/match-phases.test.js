@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPhases } from '../src/services/match-phases.js';
+
+const CONFIG = { liveThreshold: '50%', liveEvents: [ 'MatchStart' ], endEvents: [ 'MatchEnd' ] };
+const CAPTURE = { start: 0, end: 999 };
+
+const PLAYERS = [
+    { time: 0, players: 2 },
+    { time: 100, players: 30 },
+    { time: 200, players: 80 },
+    { time: 800, players: 20 },
+];
+
+describe('detectPhases', () => {
+    it('starts and ends the live phase on the configured events, matched by prefix', () => {
+        const events = [ { time: 50, name: 'MatchEnd_Previous' }, { time: 150, name: 'MatchStart_Narva' }, { time: 900, name: 'MatchEnd' } ];
+
+        assert.deepEqual(detectPhases(PLAYERS, events, CAPTURE, CONFIG), [
+            { name: 'seeding', from: 0, to: 150 },
+            { name: 'live', from: 150, to: 900 },
+            { name: 'end', from: 900, to: 1000 },
+        ]);
+    });
+
+    it('falls back on the player count crossing the threshold without events', () => {
+        // Half of the 80 players peak
+        assert.deepEqual(detectPhases(PLAYERS, [], CAPTURE, CONFIG), [
+            { name: 'seeding', from: 0, to: 200 },
+            { name: 'live', from: 200, to: 800 },
+            { name: 'end', from: 800, to: 1000 },
+        ]);
+
+        assert.deepEqual(detectPhases(PLAYERS, [], CAPTURE, { ...CONFIG, liveThreshold: 25 }).map(phase => phase.from), [ 0, 100, 800 ]);
+    });
+
+    it('runs the live phase to the end of the capture when the players never leave', () => {
+        const players = [ { time: 0, players: 0 }, { time: 300, players: 64 } ];
+
+        assert.deepEqual(detectPhases(players, [], CAPTURE, CONFIG), [
+            { name: 'seeding', from: 0, to: 300 },
+            { name: 'live', from: 300, to: 1000 },
+        ]);
+    });
+
+    it('finds no phase in a capture that never goes live', () => {
+        assert.deepEqual(detectPhases([], [], CAPTURE, CONFIG), []);
+        assert.deepEqual(detectPhases([ { time: 0, players: 0 } ], [], CAPTURE, CONFIG), []);
+        assert.deepEqual(detectPhases(PLAYERS, [], CAPTURE, { ...CONFIG, liveThreshold: 100 }), []);
+    });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvProfileProcessor } from '../scripts/multi-file-chart.js';
+import { getDefaultMetricConfig, normalizeMetricConfig } from '../src/services/metric-config.js';
+
+const HEADERS = [ 'FrameTime', 'Replication/Connections', 'EVENTS' ];
+
+function processRows(rows, options) {
+    const processor = new CsvProfileProcessor(options);
+    processor.processHeaders(HEADERS);
+    rows.forEach(row => processor.processValues(row));
+    return processor;
+}
+
+describe('CsvProfileProcessor', () => {
+    it('leaves the frames without a valid frame time out of the column stats', () => {
+        const processor = processRows([
+            [ '16', '10', 'MatchStart' ],
+            [ '', '99', '' ],
+            [ '0', '99', 'Hitch' ],
+            [ '-5', '99', '' ],
+            [ '20', '20', '' ],
+        ]);
+        const stats = processor.finalizeGeneralStats();
+
+        assert.equal(stats.FrameTime, 18);
+        assert.equal(stats[ 'Replication/Connections' ], 15);
+        assert.equal(stats.distributions[ 'Replication/Connections' ].count, 2);
+        assert.equal(stats.distributions[ 'Replication/Connections' ].max, 20);
+        // Their events are still kept
+        assert.deepEqual(stats.events.map(event => [ event.time, event.name ]), [ [ 16, 'MatchStart' ], [ 16, 'Hitch' ] ]);
+    });
+
+    it('leaves the empty cells of a sparse column out of its stats', () => {
+        const stats = processRows([
+            [ '16', '12', '' ],
+            [ '16', '', '' ],
+            [ '16', ' ', '' ],
+            [ '16', '20', '' ],
+        ]).finalizeGeneralStats();
+        const distribution = stats.distributions[ 'Replication/Connections' ];
+
+        assert.equal(stats[ 'Replication/Connections' ], 16);
+        assert.equal(distribution.count, 2);
+        assert.equal(distribution.min, 12);
+        assert.ok(distribution.p50 >= 12);
+        assert.equal(stats.distributions.FrameTime.count, 4);
+    });
+
+    it('leaves out a column without any value', () => {
+        const stats = processRows([ [ '16', '', '' ], [ '17', '', '' ] ]).finalizeGeneralStats();
+
+        assert.equal('Replication/Connections' in stats, false);
+        assert.equal('Replication/Connections' in stats.distributions, false);
+    });
+
+    it('only takes the column stats of the frames in the window', () => {
+        const rows = [ 10, 10, 10, 10, 10 ].map((frameTime, index) => [ String(frameTime), String(index), '' ]);
+        const stats = processRows(rows, { window: { from: 20, to: 40 } }).finalizeGeneralStats();
+
+        // Frames ending at 20 and 30 ms
+        assert.equal(stats[ 'Replication/Connections' ], 1.5);
+        assert.equal(stats.distributions.FrameTime.count, 2);
+        assert.deepEqual(stats.window, { from: 20, to: 40 });
+    });
+});
+
+describe('CsvProfileProcessor expression series', () => {
+    const REPLICATION = 'Exclusive/GameThread/ServerReplicateActors';
+
+    function processCapture(headers, rows) {
+        const processor = new CsvProfileProcessor({ metricConfig: getDefaultMetricConfig() });
+        processor.processHeaders(headers);
+        rows.forEach(row => processor.processValues(row));
+        return processor;
+    }
+
+    it('evaluates the expressions on the columns of each frame', () => {
+        const processor = processCapture([ 'FrameTime', REPLICATION ], [ [ '20', '5' ], [ '40', '20' ] ]);
+
+        assert.deepEqual(processor.getMissingColumns(), []);
+        assert.deepEqual(Array.from(processor.getDataStore().getSlice('Replication %', 0, Infinity, 'mean').values), [ 37.5 ]);
+        assert.equal(processor.getDerivedStats().get('Replication %').mean, 37.5);
+    });
+
+    it('gives no value to an expression reading a column the capture does not have', () => {
+        const processor = processCapture([ 'FrameTime', 'Exclusive/GameThread/Tick' ], [ [ '20', '5' ], [ '40', '20' ] ]);
+
+        assert.deepEqual(processor.getMissingColumns(), [ { id: 'replicationPerc', names: [ REPLICATION ] } ]);
+        assert.equal(processor.getDataStore().getSlice('Replication %').values.length, 0);
+        assert.equal(processor.getDerivedStats().has('Replication %'), false);
+        // The expressions on the series the capture has still get their values
+        assert.equal(processor.getDerivedStats().get('CPU Load %').mean, 37.5);
+    });
+
+    it('rejects an expression using a series defined after it', () => {
+        const series = [
+            { id: 'frameTime', columns: [ 'FrameTime' ] },
+            { id: 'load', expression: 'cpuTime / frameTime' },
+            { id: 'cpuTime', include: [ 'Exclusive/GameThread/' ], aggregate: 'sum' },
+        ];
+
+        assert.throws(() => normalizeMetricConfig({ series }), /series "load" uses series that are not defined before it \(cpuTime\)/);
+        assert.throws(() => normalizeMetricConfig({ series: [ { id: 'frameTime', expression: 'frameTime * 2' } ] }), /series "frameTime" uses series that are not defined before it/);
+    });
+});
+
+describe('CsvProfileProcessor metadata', () => {
+    const HEADER_LINE = 'FrameTime,Replication/Connections,EVENTS';
+
+    function processLines(lines) {
+        const processor = new CsvProfileProcessor();
+        lines.forEach(line => processor.processLine(line));
+        return processor;
+    }
+
+    it('reads the key and value pairs of the trailing metadata row', () => {
+        const processor = processLines([
+            HEADER_LINE,
+            '16,10,',
+            '17,12,',
+            // Unreal repeats the header before the metadata row
+            HEADER_LINE,
+            '[HasHeaderRowAtEnd],1,[platform],WindowsServer,[config],Shipping,[buildversion],++squad+v8.0-CL12345,[engineversion],5.3.2,'
+                + '[commandline]," SquadGameServer.exe Port=7787, -log -csvExecCmds=\\"stat unit\\"",[emptykey],[starttimestamp],1718000000',
+        ]);
+
+        assert.deepEqual(processor.metadata, {
+            platform: 'WindowsServer',
+            buildVersion: '++squad+v8.0-CL12345',
+            commandLine: 'SquadGameServer.exe Port=7787, -log -csvExecCmds="stat unit"',
+            startTime: '2024-06-10T06:13:20.000Z',
+            config: 'Shipping',
+            raw: {
+                hasheaderrowatend: '1',
+                platform: 'WindowsServer',
+                config: 'Shipping',
+                buildversion: '++squad+v8.0-CL12345',
+                engineversion: '5.3.2',
+                commandline: 'SquadGameServer.exe Port=7787, -log -csvExecCmds="stat unit"',
+                emptykey: '',
+                starttimestamp: '1718000000'
+            }
+        });
+
+        const stats = processor.finalizeGeneralStats();
+        assert.equal(stats.metadata, processor.metadata);
+        // Neither the repeated header nor the metadata row is a frame
+        assert.equal(stats.distributions.FrameTime.count, 2);
+    });
+
+    it('leaves the metadata out of a capture without the trailing row', () => {
+        const processor = processLines([ HEADER_LINE, '16,10,', '17,12,' ]);
+
+        assert.equal(processor.metadata, null);
+        assert.equal('metadata' in processor.finalizeGeneralStats(), false);
+    });
+
+    it('keeps the fields it cannot read empty', () => {
+        const processor = processLines([ HEADER_LINE, '16,10,', '[HasHeaderRowAtEnd],1,[StartTimestamp],0,[Platform],Linux' ]);
+
+        assert.equal(processor.metadata.platform, 'Linux');
+        assert.equal(processor.metadata.startTime, null);
+        assert.equal(processor.metadata.buildVersion, null);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PlayerScalingAnalysis from '../src/services/player-scaling.js';
+import { CsvProfileProcessor } from '../scripts/multi-file-chart.js';
+import { getDefaultMetricConfig } from '../src/services/metric-config.js';
+import { createRandom } from './helpers/random.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// Frames of `frameTime` ms one after the other, from the match time `start`
+function addFrames(analysis, frames, start = 0) {
+    let time = start;
+    frames.forEach(([ players, frameTime, gameThread ]) => {
+        time += frameTime;
+        analysis.add(time, players, frameTime, gameThread);
+    });
+    return time;
+}
+
+describe('PlayerScalingAnalysis', () => {
+    it('buckets the frames by player count, a multiple of the bucket size starting a bucket', () => {
+        const analysis = new PlayerScalingAnalysis(10);
+        addFrames(analysis, [ [ 0, 16 ], [ 9, 16 ], [ 9.9, 16 ], [ 10, 16 ], [ 19, 16 ], [ 20, 16 ], [ 40, 16 ] ]);
+
+        // No frame with 30 to 39 players, that bucket is left out
+        assert.deepEqual(analysis.getBuckets().map(({ players, minPlayers, maxPlayers, frames }) => ({ players, minPlayers, maxPlayers, frames })), [
+            { players: '0-9', minPlayers: 0, maxPlayers: 9, frames: 3 },
+            { players: '10-19', minPlayers: 10, maxPlayers: 19, frames: 2 },
+            { players: '20-29', minPlayers: 20, maxPlayers: 29, frames: 1 },
+            { players: '40-49', minPlayers: 40, maxPlayers: 49, frames: 1 },
+        ]);
+        assert.equal(analysis.frameCount, 7);
+        assert.deepEqual(new PlayerScalingAnalysis(25).toJSON(), { bucketSize: 25, buckets: [], trend: null });
+    });
+
+    it('averages the frame time, tick rate and GameThread time of every bucket', () => {
+        const analysis = new PlayerScalingAnalysis(50);
+        // Frame times of 1 to 100 ms, the last one without a GameThread time
+        const frames = Array.from({ length: 100 }, (_, i) => [ i % 50, i + 1, i < 99 ? (i + 1) / 2 : NaN ]);
+        addFrames(analysis, [ ...frames, [ 60, 25 ] ]);
+        const [ low, high ] = analysis.getBuckets();
+
+        assert.equal(low.frames, 100);
+        assert.equal(low.duration, 5050);
+        assert.equal(low.frameTime.mean, 50.5);
+        // The percentiles come from a sketch, within a rank and 1% of the exact value
+        assertClose(low.frameTime.p95, 95, 2);
+        assertClose(low.tps, 100 * 1000 / 5050);
+        // The frame without a GameThread time only counts towards the frame time
+        assert.equal(low.gameThread.mean, 25);
+        assertClose(low.gameThread.p95, 47.5, 1);
+
+        assert.equal(high.frameTime.mean, 25);
+        assertClose(high.frameTime.p95, 25, 0.25);
+        assert.equal(high.tps, 40);
+        assert.equal(high.gameThread, null);
+    });
+
+    it('fits the frame time against the player count', () => {
+        const analysis = new PlayerScalingAnalysis();
+        const frames = Array.from({ length: 100 }, (_, i) => [ i, 0.25 * i + 8 ]);
+        addFrames(analysis, frames);
+
+        const trend = analysis.getTrend();
+        assertClose(trend.slope, 0.25);
+        assertClose(trend.intercept, 8);
+        assertClose(trend.r2, 1);
+    });
+
+    it('explains only part of the variance of a noisy frame time', () => {
+        const random = createRandom(19);
+        const analysis = new PlayerScalingAnalysis();
+        addFrames(analysis, Array.from({ length: 5000 }, () => {
+            const players = Math.floor(random() * 100);
+            return [ players, 0.1 * players + 12 + (random() - 0.5) * 10 ];
+        }));
+
+        const trend = analysis.getTrend();
+        assertClose(trend.slope, 0.1, 0.01);
+        assertClose(trend.intercept, 12, 0.5);
+        assert.ok(trend.r2 > 0.3 && trend.r2 < 0.6, `r2 ${trend.r2}`);
+    });
+
+    it('has no trend without a spread of player counts', () => {
+        const analysis = new PlayerScalingAnalysis();
+        addFrames(analysis, [ [ 20, 16 ] ]);
+        assert.equal(analysis.getTrend(), null);
+
+        addFrames(analysis, [ [ 20, 30 ], [ 20, 12 ] ]);
+        assert.equal(analysis.getTrend(), null);
+
+        addFrames(analysis, [ [ 30, 16 ] ]);
+        assert.ok(analysis.getTrend());
+    });
+
+    it('explains nothing of a frame time that never changes', () => {
+        const analysis = new PlayerScalingAnalysis();
+        addFrames(analysis, [ [ 10, 16 ], [ 20, 16 ], [ 30, 16 ] ]);
+
+        assert.deepEqual(analysis.getTrend(), { slope: 0, intercept: 16, r2: 0 });
+    });
+
+    it('averages every second of the match into a scatter point', () => {
+        const analysis = new PlayerScalingAnalysis();
+        analysis.add(100, 10, 20);
+        analysis.add(900, 20, 40);
+        analysis.add(1000, 30, 10);
+        analysis.add(3500, 40, 30);
+
+        assert.deepEqual(analysis.getPoints(), [ { x: 15, y: 30 }, { x: 30, y: 10 }, { x: 40, y: 30 } ]);
+    });
+
+    it('carries on after a cache round trip', () => {
+        const random = createRandom(7);
+        const frames = Array.from({ length: 2000 }, () => [ Math.floor(random() * 80), 10 + random() * 20, 5 + random() * 5 ]);
+        const analysis = new PlayerScalingAnalysis(20);
+        const time = addFrames(analysis, frames.slice(0, 1000));
+
+        const restored = PlayerScalingAnalysis.fromCache(JSON.parse(JSON.stringify(analysis.toCache())));
+        assert.equal(restored.bucketSize, 20);
+        assert.deepEqual(restored.toJSON(), analysis.toJSON());
+        assert.deepEqual(restored.getPoints(), analysis.getPoints());
+
+        addFrames(analysis, frames.slice(1000), time);
+        addFrames(restored, frames.slice(1000), time);
+        assert.deepEqual(restored.toJSON(), analysis.toJSON());
+        assert.deepEqual(restored.getPoints(), analysis.getPoints());
+    });
+});
+
+describe('CsvProfileProcessor player scaling', () => {
+    function process(headers, rows) {
+        const processor = new CsvProfileProcessor({ metricConfig: getDefaultMetricConfig(), bucketMs: 1000 });
+        processor.processHeaders(headers);
+        rows.forEach(row => processor.processValues(row));
+        return processor;
+    }
+
+    it('buckets the frames by Replication/Connections with their GameThread time', () => {
+        const processor = process([ 'FrameTime', 'Replication/Connections', 'Exclusive/GameThread/Tick' ], [
+            [ '16', '9', '4' ], [ '20', '10', '6' ], [ '24', '10', '8' ], [ '30', '35', '12' ]
+        ]);
+        const buckets = processor.getPlayerScaling().getBuckets();
+
+        assert.deepEqual(buckets.map(bucket => [ bucket.players, bucket.frames, bucket.frameTime.mean, bucket.gameThread.mean ]), [
+            [ '0-9', 1, 16, 4 ],
+            [ '10-19', 2, 22, 7 ],
+            [ '30-39', 1, 30, 12 ],
+        ]);
+    });
+
+    it('has no player scaling without a player count column', () => {
+        const processor = process([ 'FrameTime', 'Exclusive/GameThread/Tick' ], [ [ '16', '4' ], [ '20', '6' ] ]);
+        assert.equal(processor.getPlayerScaling(), null);
+    });
+});
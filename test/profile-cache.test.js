@@ -0,0 +1,95 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvProfileProcessor } from '../scripts/multi-file-chart.js';
+import { getDefaultMetricConfig } from '../src/services/metric-config.js';
+import { readProfileCache, writeProfileCache } from '../src/services/profile-cache.js';
+
+const ROWS = [ [ '16', '10' ], [ '17', '12' ], [ '40', '12' ], [ '16', '30' ] ];
+
+function processRows(options) {
+    const processor = new CsvProfileProcessor(options);
+    processor.processHeaders([ 'FrameTime', 'Replication/Connections' ]);
+    ROWS.forEach(row => processor.processValues(row));
+    return processor;
+}
+
+describe('profile cache', () => {
+    let dir;
+    let cacheDir;
+    let sourcePath;
+    const options = { metricConfig: getDefaultMetricConfig(), bucketMs: 1000 };
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-cache-'));
+        cacheDir = path.join(dir, '.cache');
+        sourcePath = path.join(dir, 'profile.csv');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // A fresh source and entry for each test, the source content itself is never read
+    function writeEntry(entryOptions = options) {
+        fs.writeFileSync(sourcePath, 'FrameTime\n16\n');
+        fs.utimesSync(sourcePath, 1718000000, 1718000000);
+        const processor = processRows(entryOptions);
+        writeProfileCache(cacheDir, sourcePath, processor.toCache(), entryOptions);
+        return processor;
+    }
+
+    it('restores the processor it was written from', () => {
+        const processor = writeEntry();
+        const cache = readProfileCache(cacheDir, sourcePath, options);
+        const restored = CsvProfileProcessor.fromCache(cache, options);
+
+        assert.equal(restored.cached, true);
+        assert.deepEqual(restored.finalizeGeneralStats(), processor.finalizeGeneralStats());
+        assert.deepEqual(restored.getDataStore().getTimePoints(), processor.getDataStore().getTimePoints());
+    });
+
+    it('is out of date once the source size or mtime changes', () => {
+        writeEntry();
+        fs.appendFileSync(sourcePath, '17\n');
+        assert.equal(readProfileCache(cacheDir, sourcePath, options), null);
+
+        writeEntry();
+        fs.utimesSync(sourcePath, 1718000000, 1718000001);
+        assert.equal(readProfileCache(cacheDir, sourcePath, options), null);
+    });
+
+    it('is out of date for other processing settings', () => {
+        writeEntry();
+
+        assert.ok(readProfileCache(cacheDir, sourcePath, { ...options }));
+        assert.equal(readProfileCache(cacheDir, sourcePath, { ...options, bucketMs: 500 }), null);
+        assert.equal(readProfileCache(cacheDir, sourcePath, { ...options, metricConfig: { ...options.metricConfig, bucketPercentile: 90 } }), null);
+    });
+
+    it('keeps one entry per time window', () => {
+        const windowOptions = { ...options, window: { from: 0, to: 20 } };
+        writeEntry(windowOptions);
+        writeEntry();
+
+        const cache = readProfileCache(cacheDir, sourcePath, windowOptions);
+        assert.equal(CsvProfileProcessor.fromCache(cache, windowOptions).finalizeGeneralStats().distributions.FrameTime.count, 1);
+        assert.equal(CsvProfileProcessor.fromCache(readProfileCache(cacheDir, sourcePath, options), options).finalizeGeneralStats().distributions.FrameTime.count, 4);
+    });
+
+    it('ignores a missing or unreadable entry', () => {
+        const otherPath = path.join(dir, 'other.csv');
+        fs.writeFileSync(otherPath, 'FrameTime\n');
+        assert.equal(readProfileCache(cacheDir, otherPath, options), null);
+
+        writeEntry();
+        fs.readdirSync(cacheDir).filter(name => name.endsWith('.json')).forEach(name => fs.writeFileSync(path.join(cacheDir, name), '{'));
+        const warn = mock.method(console, 'warn', () => {});
+        try {
+            assert.equal(readProfileCache(cacheDir, sourcePath, options), null);
+            assert.equal(warn.mock.callCount(), 1);
+        } finally {
+            warn.mock.restore();
+        }
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QuantileSketch from '../src/services/quantile-sketch.js';
+import { createRandom } from './helpers/random.js';
+
+// Value at rank q * (n - 1) of the sorted values, the rank the sketch answers for
+function exactQuantile(sorted, q) {
+    return sorted[ Math.floor(q * (sorted.length - 1)) ];
+}
+
+function assertRelativeError(actual, expected, accuracy) {
+    const error = Math.abs(actual - expected) / Math.abs(expected);
+    assert.ok(error <= accuracy + 1e-12, `${actual} is ${(error * 100).toFixed(3)}% away from ${expected}`);
+}
+
+describe('QuantileSketch', () => {
+    it('answers quantiles within its relative accuracy', () => {
+        const random = createRandom(7);
+        const sketch = new QuantileSketch(0.01);
+        // Long tailed, like frame times
+        const values = Array.from({ length: 20000 }, () => 10 + Math.pow(random(), 6) * 200);
+        values.forEach(value => sketch.add(value));
+        const sorted = [ ...values ].sort((a, b) => a - b);
+
+        for (const q of [ 0.01, 0.25, 0.5, 0.9, 0.95, 0.99, 0.999 ])
+            assertRelativeError(sketch.quantile(q), exactQuantile(sorted, q), 0.01);
+        assert.equal(sketch.quantile(0), sorted[ 0 ]);
+        assert.equal(sketch.quantile(1), sorted[ sorted.length - 1 ]);
+        assert.equal(sketch.count, values.length);
+    });
+
+    it('keeps negative values and zeros in order', () => {
+        const sketch = new QuantileSketch();
+        [ -5, -1, 0, 0, 2, 8 ].forEach(value => sketch.add(value));
+
+        assert.deepEqual(sketch.getBins().map(([ value, count ]) => [ Math.sign(value), count ]), [ [ -1, 1 ], [ -1, 1 ], [ 0, 2 ], [ 1, 1 ], [ 1, 1 ] ]);
+        assertRelativeError(sketch.quantile(0.2), -1, 0.01);
+        assert.equal(sketch.quantile(0.5), 0);
+        assert.equal(sketch.quantile(0), -5);
+        assert.equal(new QuantileSketch().quantile(0.5), undefined);
+    });
+
+    it('merges into the sketch of all the values', () => {
+        const random = createRandom(3);
+        const values = Array.from({ length: 1000 }, () => random() * 100 - 10);
+        const whole = new QuantileSketch();
+        const first = new QuantileSketch();
+        const second = new QuantileSketch();
+        values.forEach((value, i) => {
+            whole.add(value);
+            (i % 2 ? first : second).add(value);
+        });
+
+        assert.deepEqual(first.merge(second).toJSON(), whole.toJSON());
+    });
+
+    it('round trips through JSON', () => {
+        const sketch = new QuantileSketch(0.02);
+        [ 1, 2, 3, 50, 0, -4 ].forEach(value => sketch.add(value));
+        const restored = QuantileSketch.fromJSON(JSON.parse(JSON.stringify(sketch)));
+
+        assert.deepEqual(restored.getBins(), sketch.getBins());
+        assert.equal(restored.quantile(0.5), sketch.quantile(0.5));
+        assert.equal(restored.relativeAccuracy, 0.02);
+    });
+
+    it('bounds its bins by collapsing the smallest magnitudes', () => {
+        const sketch = new QuantileSketch(0.01, 16);
+        for (let i = 0; i < 1000; i++) sketch.add(Math.pow(1.1, i % 200));
+
+        assert.ok(sketch.positive.size <= 16);
+        assert.equal(sketch.count, 1000);
+        assertRelativeError(sketch.quantile(0.99), Math.pow(1.1, 197), 0.01);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resample } from '../src/services/resample.js';
+import { createRandom } from './helpers/random.js';
+
+const TIMES = Float64Array.from({ length: 10 }, (_, i) => i * 100);
+const VALUES = Float64Array.from([ 5, 1, 9, 3, 7, 2, 8, 4, 6, 0 ]);
+
+describe('resample', () => {
+    it('keeps every point when there are not more than requested', () => {
+        const all = Array.from(TIMES, (x, i) => ({ x, y: VALUES[ i ] }));
+
+        assert.deepEqual(resample(TIMES, VALUES, 10), all);
+        assert.deepEqual(resample(TIMES, VALUES, undefined), all);
+        assert.deepEqual(resample(new Float64Array(0), new Float64Array(0), 5), []);
+    });
+
+    it('reduces equal time intervals to their mean, min or max', () => {
+        // Intervals [ 0, 450 ) and [ 450, 900 ]
+        assert.deepEqual(resample(TIMES, VALUES, 2, 'mean'), [ { x: 200, y: 5 }, { x: 700, y: 4 } ]);
+        assert.deepEqual(resample(TIMES, VALUES, 2, 'min'), [ { x: 100, y: 1 }, { x: 900, y: 0 } ]);
+        assert.deepEqual(resample(TIMES, VALUES, 2, 'max'), [ { x: 200, y: 9 }, { x: 600, y: 8 } ]);
+    });
+
+    it('leaves the empty intervals out', () => {
+        const random = createRandom(23);
+        const times = [];
+        // A gap in the middle of the capture
+        for (let time = 0; time <= 1000; time += 1 + Math.floor(random() * 5)) if (time < 300 || time > 700) times.push(time);
+        times.push(1000);
+        const values = times.map(() => random());
+
+        const points = resample(Float64Array.from(times), Float64Array.from(values), 10, 'max');
+        const expected = [];
+        times.forEach((time, i) => {
+            const interval = Math.min(Math.floor(time / 100), 9);
+            if (!expected[ interval ] || values[ i ] > expected[ interval ].y) expected[ interval ] = { x: time, y: values[ i ] };
+        });
+
+        assert.deepEqual(points, expected.filter(Boolean));
+        assert.ok(points.length < 10);
+    });
+
+    it('keeps the first and last points and the spikes with lttb', () => {
+        const times = Float64Array.from({ length: 1000 }, (_, i) => i * 16);
+        const values = Float64Array.from(times, (_, i) => (i === 500 ? 250 : 16 + (i % 3)));
+        const points = resample(times, values, 50, 'lttb');
+
+        assert.equal(points.length, 50);
+        assert.deepEqual(points[ 0 ], { x: 0, y: 16 });
+        assert.deepEqual(points[ 49 ], { x: 999 * 16, y: values[ 999 ] });
+        assert.ok(points.some(point => point.x === 500 * 16 && point.y === 250));
+        assert.ok(points.every((point, i) => i === 0 || point.x > points[ i - 1 ].x));
+
+        assert.deepEqual(resample(times, values, 2, 'lttb'), [ { x: 0, y: 16 }, { x: 999 * 16, y: values[ 999 ] } ]);
+        assert.deepEqual(resample(times, values, 1, 'lttb'), [ { x: 0, y: 16 } ]);
+    });
+
+    it('rejects unknown reducers', () => {
+        assert.throws(() => resample(TIMES, VALUES, 2, 'median'), /Unknown reducer "median"/);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RollingWindow from '../src/services/rolling-window.js';
+import { createRandom } from './helpers/random.js';
+
+// Nearest rank over the values of (time - windowMs, time]
+function bruteForce(points, time, windowMs, p) {
+    const values = points.filter(point => point.time > time - windowMs && point.time <= time).map(point => point.value);
+    const sorted = [ ...values ].sort((a, b) => a - b);
+    const rank = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+    return {
+        count: values.length,
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        percentile: sorted[ Math.max(rank, 0) ]
+    };
+}
+
+describe('RollingWindow', () => {
+    it('matches the statistics of the values of the last window', () => {
+        const random = createRandom(22);
+        const window = new RollingWindow(1000);
+        const points = [];
+        let time = 0;
+
+        // Long enough for the arrays to be compacted a few times
+        for (let i = 0; i < 5000; i++) {
+            time += Math.floor(random() * 40);
+            const value = Math.round(random() * 100);
+            window.add(time, value);
+            points.push({ time, value });
+
+            const expected = bruteForce(points.slice(-400), time, 1000, 95);
+            assert.equal(window.count, expected.count);
+            assert.ok(Math.abs(window.mean - expected.mean) < 1e-9);
+            assert.equal(window.percentile(95), expected.percentile);
+        }
+    });
+
+    it('drops the values older than the window', () => {
+        const window = new RollingWindow(100);
+        window.add(0, 10);
+        window.add(50, 20);
+        assert.equal(window.mean, 15);
+
+        // The value added at 0 is exactly one window old
+        window.add(100, 30);
+        assert.equal(window.count, 2);
+        assert.equal(window.mean, 25);
+        assert.equal(window.percentile(0), 20);
+        assert.equal(window.percentile(100), 30);
+
+        window.add(1000, 5);
+        assert.equal(window.count, 1);
+        assert.equal(window.mean, 5);
+    });
+
+    it('has no statistic while empty', () => {
+        const window = new RollingWindow(100);
+        assert.equal(window.count, 0);
+        assert.equal(window.mean, undefined);
+        assert.equal(window.percentile(95), undefined);
+    });
+});
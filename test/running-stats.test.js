@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RunningStats from '../src/services/running-stats.js';
+import { createRandom } from './helpers/random.js';
+
+describe('RunningStats', () => {
+    it('matches the two-pass mean and sample standard deviation', () => {
+        const random = createRandom(11);
+        const values = Array.from({ length: 5000 }, () => 1e6 + random() * 10);
+        const stats = new RunningStats();
+        values.forEach(value => stats.add(value));
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+
+        assert.equal(stats.count, values.length);
+        assert.ok(Math.abs(stats.mean - mean) < 1e-6);
+        assert.ok(Math.abs(stats.stddev - Math.sqrt(variance)) < 1e-6);
+        assert.equal(stats.min, Math.min(...values));
+        assert.equal(stats.max, Math.max(...values));
+        assert.ok(Math.abs(stats.sum - mean * values.length) < 1e-3);
+    });
+
+    it('summarizes percentiles when it keeps a sketch', () => {
+        const stats = new RunningStats({ quantiles: true });
+        for (let i = 1; i <= 100; i++) stats.add(i);
+        const json = stats.toJSON();
+
+        assert.ok(Math.abs(json.p50 - 50) <= 0.5);
+        assert.ok(Math.abs(json.p95 - 95) <= 1);
+        assert.ok(json.sketch);
+        assert.equal(new RunningStats().toJSON().sketch, undefined);
+        assert.deepEqual(new RunningStats({ quantiles: true }).toJSON(), { count: 0 });
+    });
+
+    it('round trips through JSON and keeps accumulating', () => {
+        const stats = new RunningStats({ quantiles: true });
+        [ 4, 8, 15, 16 ].forEach(value => stats.add(value));
+        const restored = RunningStats.fromJSON(JSON.parse(JSON.stringify(stats)));
+        [ stats, restored ].forEach(s => s.add(42));
+
+        assert.equal(restored.count, stats.count);
+        assert.ok(Math.abs(restored.mean - stats.mean) < 1e-12);
+        assert.ok(Math.abs(restored.stddev - stats.stddev) < 1e-9);
+        assert.equal(restored.percentile(50), stats.percentile(50));
+        assert.equal(RunningStats.fromJSON({ count: 0 }).count, 0);
+    });
+});
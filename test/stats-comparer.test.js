@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QuantileSketch from '../src/services/quantile-sketch.js';
+import { DistributionComparer, MultiStatsComparer, StatsComparer } from '../scripts/stats-comparer.js';
+import { createRandom } from './helpers/random.js';
+
+function sketchOf(values) {
+    const sketch = new QuantileSketch();
+    values.forEach(value => sketch.add(value));
+    return sketch.toJSON();
+}
+
+// Frame times around `mean` ms
+function frameTimes(seed, count, mean, spread = 4) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => mean + (random() + random() + random() - 1.5) * spread);
+}
+
+describe('DistributionComparer', () => {
+    it('finds no difference between samples of the same distribution', () => {
+        const result = DistributionComparer(sketchOf(frameTimes(1, 5000, 16)), sketchOf(frameTimes(2, 5000, 16)));
+
+        assert.equal(result.test, 'mann-whitney');
+        assert.equal(result.significant, false);
+        assert.ok(result.pValue > 0.01);
+        assert.ok(Math.abs(result.effectSize) < 0.05);
+    });
+
+    it('flags a shift, signed by its direction', () => {
+        const baseline = sketchOf(frameTimes(1, 5000, 16));
+        const slower = DistributionComparer(baseline, sketchOf(frameTimes(2, 5000, 18)));
+        const faster = DistributionComparer(baseline, sketchOf(frameTimes(3, 5000, 14)));
+
+        assert.equal(slower.significant, true);
+        assert.ok(slower.pValue < 1e-6);
+        assert.ok(slower.effectSize > 0.5);
+        assert.equal(faster.significant, true);
+        assert.ok(faster.effectSize < -0.5);
+    });
+
+    it('treats a tiny but certain shift as noise below the effect size', () => {
+        const result = DistributionComparer(sketchOf(frameTimes(1, 50000, 16)), sketchOf(frameTimes(2, 50000, 16.15)));
+
+        assert.ok(result.pValue < 0.01);
+        assert.ok(Math.abs(result.effectSize) < 0.147);
+        assert.equal(result.significant, false);
+        assert.equal(DistributionComparer(sketchOf(frameTimes(1, 50000, 16)), sketchOf(frameTimes(2, 50000, 16.15)), { minEffectSize: 0 }).significant, true);
+    });
+
+    it('gives no result for empty or incompatible sketches', () => {
+        assert.equal(DistributionComparer(sketchOf([]), sketchOf([ 1, 2 ])), null);
+        const coarse = new QuantileSketch(0.05);
+        coarse.add(1);
+        assert.equal(DistributionComparer(sketchOf([ 1 ]), coarse.toJSON()), null);
+    });
+});
+
+describe('MultiStatsComparer', () => {
+    it('compares every numeric stat and tests the ones with a distribution', () => {
+        const baseline = { FrameTime: 16, Memory: 1000, label: 'a', distributions: { FrameTime: { sketch: sketchOf(frameTimes(1, 2000, 16)) } } };
+        const candidates = [
+            { FrameTime: 20, Memory: 1100, label: 'b', distributions: { FrameTime: { sketch: sketchOf(frameTimes(2, 2000, 20)) } } },
+            { FrameTime: 16, label: 'c' },
+        ];
+        const result = MultiStatsComparer(baseline, candidates);
+
+        assert.deepEqual(Object.keys(result), [ 'FrameTime', 'Memory' ]);
+        assert.equal(result.FrameTime.baseline, 16);
+        assert.equal(result.FrameTime.candidates[ 0 ].value, 20);
+        assert.equal(result.FrameTime.candidates[ 0 ].variationPerc, 25);
+        assert.equal(result.FrameTime.candidates[ 0 ].significance.significant, true);
+        assert.equal(result.FrameTime.candidates[ 1 ].significance, undefined);
+        assert.equal(result.Memory.candidates[ 1 ], null);
+    });
+
+    it('computes the variation of a single candidate', () => {
+        const { Memory } = StatsComparer({ Memory: 200 }, { Memory: 150 });
+        assert.equal(Memory.variation, -50);
+        assert.equal(Memory.variationPerc, -25);
+    });
+});